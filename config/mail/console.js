@@ -0,0 +1,26 @@
+const nodemailer = require("nodemailer");
+
+/**
+ * Console transport for development
+ * Logs recipients, subject and the text body instead of sending
+ */
+const transporter = nodemailer.createTransport({ jsonTransport: true });
+
+/**
+ * Log a message to the console
+ * @param {Object} message - { from, to, subject, html, text }
+ * @returns {Promise<Object>} - { messageId }
+ */
+const send = async (message) => {
+  const info = await transporter.sendMail(message);
+
+  console.log("=== Email ===");
+  console.log("To:", message.to);
+  console.log("Subject:", message.subject);
+  console.log(message.text);
+  console.log("=============");
+
+  return { messageId: info.messageId };
+};
+
+module.exports = { send };
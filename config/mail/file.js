@@ -0,0 +1,35 @@
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+/**
+ * File transport for development and tests
+ * Writes every message as an .eml file into MAIL_DIR (default: ./mail)
+ */
+const mailDir = path.resolve(process.env.MAIL_DIR || "mail");
+
+const transporter = nodemailer.createTransport({
+  streamTransport: true,
+  buffer: true,
+  newline: "unix",
+});
+
+/**
+ * Write a message to MAIL_DIR
+ * @param {Object} message - { from, to, subject, html, text }
+ * @returns {Promise<Object>} - { messageId, path }
+ */
+const send = async (message) => {
+  const info = await transporter.sendMail(message);
+
+  await fs.mkdir(mailDir, { recursive: true });
+  const filePath = path.join(
+    mailDir,
+    `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, "")}.eml`
+  );
+  await fs.writeFile(filePath, info.message);
+
+  return { messageId: info.messageId, path: filePath };
+};
+
+module.exports = { send, mailDir };
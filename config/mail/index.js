@@ -0,0 +1,40 @@
+require("dotenv").config();
+
+/**
+ * Mail transport selection
+ * MAIL_TRANSPORT=console, file or smtp
+ * Defaults to console outside production; in production it must be set, because
+ * the console transport prints every email, including password reset links
+ *
+ * Every transport exposes:
+ * - send({ from, to, subject, html, text }): deliver a message, resolves { messageId }
+ *
+ * For a local SMTP sink (e.g. Mailpit or MailHog) use MAIL_TRANSPORT=smtp
+ * with SMTP_HOST=localhost and SMTP_PORT=1025
+ */
+const transports = {
+  console: () => require("./console"),
+  file: () => require("./file"),
+  smtp: () => require("./smtp"),
+};
+
+const driver =
+  process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? undefined : "console");
+
+if (!driver) {
+  throw new Error("MAIL_TRANSPORT must be set in production. Use one of: file, smtp");
+}
+
+if (!transports[driver]) {
+  throw new Error(
+    `Unknown MAIL_TRANSPORT "${driver}". Use one of: ${Object.keys(transports).join(", ")}`
+  );
+}
+
+const transport = transports[driver]();
+
+module.exports = {
+  ...transport,
+  driver,
+  from: process.env.MAIL_FROM || "Boarding <no-reply@localhost>",
+};
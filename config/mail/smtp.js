@@ -0,0 +1,26 @@
+const nodemailer = require("nodemailer");
+
+/**
+ * SMTP transport
+ * Configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASS
+ */
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST || "localhost",
+  port: parseInt(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === "true", // true for port 465
+  auth: process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+    : undefined,
+});
+
+/**
+ * Send a message over SMTP
+ * @param {Object} message - { from, to, subject, html, text }
+ * @returns {Promise<Object>} - { messageId }
+ */
+const send = async (message) => {
+  const info = await transporter.sendMail(message);
+  return { messageId: info.messageId };
+};
+
+module.exports = { send };
@@ -0,0 +1,31 @@
+const cloudinary = require("cloudinary").v2;
+require("dotenv").config();
+
+// @desc configure cloudinary
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET_KEY,
+});
+
+// @desc Upload an already processed WebP image
+const uploadImage = (buffer, { folder, name }) =>
+  new Promise((resolve, reject) => {
+    cloudinary.uploader
+      .upload_stream(
+        { folder, public_id: name, resource_type: "image", format: "webp" },
+        (error, result) => {
+          if (error) return reject(error);
+          resolve({ url: result.secure_url, publicId: result.public_id });
+        }
+      )
+      .end(buffer);
+  });
+
+// @desc Delete an uploaded image by its public id
+const deleteImage = (publicId) => cloudinary.uploader.destroy(publicId);
+
+module.exports = {
+  uploadImage,
+  deleteImage,
+};
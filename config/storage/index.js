@@ -0,0 +1,54 @@
+require("dotenv").config();
+const { ProcessedImageStorage, deleteStoredImage } = require("./processedImageStorage");
+const {
+  LISTING_IMAGE_VARIANTS,
+  PROFILE_IMAGE_VARIANTS,
+} = require("../../utils/imageProcessing");
+
+/**
+ * Storage backend selection
+ * STORAGE_DRIVER=cloudinary (default) or STORAGE_DRIVER=local
+ *
+ * Every adapter exposes:
+ * - uploadImage(buffer, { folder, name }): store a processed image, resolves { url, publicId }
+ * - deleteImage(publicId): remove a stored image
+ *
+ * Uploads are processed (metadata stripped, resized, converted to WebP) by
+ * ProcessedImageStorage before reaching the adapter
+ */
+const adapters = {
+  cloudinary: () => require("./cloudinary"),
+  local: () => require("./local"),
+};
+
+const driver = process.env.STORAGE_DRIVER || "cloudinary";
+
+if (!adapters[driver]) {
+  throw new Error(
+    `Unknown STORAGE_DRIVER "${driver}". Use one of: ${Object.keys(adapters).join(", ")}`
+  );
+}
+
+const adapter = adapters[driver]();
+
+// @desc Multer storage for profile photos
+const profileImageStorage = new ProcessedImageStorage({
+  adapter,
+  folder: "profiles",
+  variants: PROFILE_IMAGE_VARIANTS,
+});
+
+// @desc Multer storage for listing images
+const listingImageStorage = new ProcessedImageStorage({
+  adapter,
+  folder: "listings",
+  variants: LISTING_IMAGE_VARIANTS,
+});
+
+module.exports = {
+  ...adapter,
+  driver,
+  profileImageStorage,
+  listingImageStorage,
+  deleteStoredImage: (image) => deleteStoredImage(adapter, image),
+};
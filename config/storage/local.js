@@ -0,0 +1,44 @@
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+
+// Directory uploads are written to and the URL prefix they are served from
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || "uploads");
+const UPLOAD_URL_PREFIX = "/uploads";
+
+// Optional absolute base for generated URLs (e.g. http://localhost:4000)
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || "";
+
+// Helper function to turn a public id into a path inside UPLOAD_DIR
+const resolveUploadPath = (publicId) => {
+  const filePath = path.resolve(UPLOAD_DIR, publicId);
+  if (!filePath.startsWith(UPLOAD_DIR + path.sep)) {
+    throw new Error(`Invalid upload id: ${publicId}`);
+  }
+  return filePath;
+};
+
+// @desc Write an already processed WebP image to disk
+const uploadImage = async (buffer, { folder, name }) => {
+  const publicId = path.posix.join(folder, `${name}.webp`);
+  const filePath = resolveUploadPath(publicId);
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+
+  return { url: `${PUBLIC_BASE_URL}${UPLOAD_URL_PREFIX}/${publicId}`, publicId };
+};
+
+// @desc Delete an uploaded image by its public id
+const deleteImage = async (publicId) => {
+  await fs.promises.unlink(resolveUploadPath(publicId)).catch((err) => {
+    if (err.code !== "ENOENT") throw err;
+  });
+};
+
+module.exports = {
+  uploadImage,
+  deleteImage,
+  uploadDir: UPLOAD_DIR,
+  urlPrefix: UPLOAD_URL_PREFIX,
+};
@@ -0,0 +1,84 @@
+const crypto = require("crypto");
+const { processImage } = require("../../utils/imageProcessing");
+
+// Helper function to read a multer file stream into a buffer
+const readStream = (stream) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", (chunk) => chunks.push(chunk));
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+    stream.on("error", reject);
+  });
+
+/**
+ * Delete every stored variant of a structured image
+ * @param {Object} adapter - Storage adapter
+ * @param {Object} image - { url, width, height, variants }
+ */
+const deleteStoredImage = async (adapter, image) => {
+  const variants = (image && image.variants) || {};
+  const publicIds = Object.values(variants)
+    .filter((variant) => variant && variant.publicId)
+    .map((variant) => variant.publicId);
+
+  await Promise.all(publicIds.map((publicId) => adapter.deleteImage(publicId)));
+};
+
+/**
+ * Multer storage engine that processes images before handing them to an adapter
+ * Every upload is stripped of metadata, resized into variants and converted to WebP.
+ * file.path is the URL of the largest variant, file.image the structured image
+ */
+class ProcessedImageStorage {
+  /**
+   * @param {Object} options - { adapter, folder, variants }
+   */
+  constructor({ adapter, folder, variants }) {
+    this.adapter = adapter;
+    this.folder = folder;
+    this.variants = variants;
+  }
+
+  _handleFile(req, file, cb) {
+    this.store(file).then((info) => cb(null, info), cb);
+  }
+
+  _removeFile(req, file, cb) {
+    deleteStoredImage(this.adapter, file.image).then(() => cb(null), cb);
+  }
+
+  async store(file) {
+    const buffer = await readStream(file.stream);
+    const processed = await processImage(buffer, this.variants);
+
+    const name = crypto.randomBytes(16).toString("hex");
+    const variants = {};
+
+    try {
+      for (const [variantName, variant] of Object.entries(processed)) {
+        const { url, publicId } = await this.adapter.uploadImage(variant.buffer, {
+          folder: this.folder,
+          name: `${name}_${variantName}`,
+        });
+        variants[variantName] = { url, width: variant.width, height: variant.height, publicId };
+      }
+    } catch (error) {
+      // Don't leave partial uploads behind
+      await deleteStoredImage(this.adapter, { variants }).catch(() => {});
+      throw error;
+    }
+
+    // The largest variant is the main image
+    const main = variants[Object.keys(variants).pop()];
+    const image = { url: main.url, width: main.width, height: main.height, variants };
+
+    return {
+      path: main.url,
+      filename: main.publicId,
+      size: Object.values(processed).reduce((sum, variant) => sum + variant.buffer.length, 0),
+      image,
+    };
+  }
+}
+
+module.exports = { ProcessedImageStorage, deleteStoredImage };
@@ -1,16 +1,70 @@
+const mongoose = require("mongoose");
 const User = require("../model/User");
 const TokenBlacklist = require("../model/TokenBlacklist");
 const Session = require("../model/Session");
 const asyncHandler = require("express-async-handler");
 const bcrypt = require("bcrypt");
+const crypto = require("crypto");
 const {
   createToken,
   createRefreshToken,
+  createTwoFactorChallengeToken,
+  verifyToken,
   setTokenCookies,
   clearTokenCookies
 } = require("../utils/generateToken");
 const { validatePassword } = require("../utils/passwordValidator");
 const apiError = require("../utils/apiError");
+const { disconnectSession, disconnectUser } = require("../utils/realtime");
+const {
+  recordSecurityEvent,
+  recordSecurityEventInBackground,
+} = require("../utils/securityEvents");
+const { parseUserAgent, formatDeviceLabel } = require("../utils/userAgent");
+const { lookupLocation } = require("../utils/geoip");
+const { assessSignIn, alertNewSignIn } = require("../utils/signInAlerts");
+const { queueEmailInBackground } = require("../utils/email");
+const { CLIENT_URL } = require("../templates/email/layout");
+const {
+  checkResendThrottle,
+  sendVerificationEmail,
+  confirmEmailVerification,
+} = require("../utils/emailVerification");
+const { generateSecret, verifyCode, buildOtpauthUri } = require("../utils/totp");
+const {
+  TWO_FACTOR_ISSUER,
+  TWO_FACTOR_SECRET_FIELDS,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  verifySecondFactor,
+} = require("../utils/twoFactor");
+
+// Password reset links expire after this many minutes (default: 30 minutes)
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+
+// Minimum seconds between reset emails for the same account
+const PASSWORD_RESET_COOLDOWN_SECONDS = 60;
+
+// A rotated refresh token presented again within this many seconds is rejected without
+// revoking anything, so clients that refresh from two tabs at once don't log themselves out
+const REFRESH_REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS) || 10;
+
+// Helper function to hash a password reset token before storing or looking it up
+const hashResetToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Helper function to refuse another verification email while the resend throttle applies
+// Returns true when the request was rejected
+const rejectThrottledVerificationEmail = (res, next, user) => {
+  const { allowed, retryAfterSeconds } = checkResendThrottle(user);
+  if (allowed) return false;
+
+  res.set("Retry-After", String(retryAfterSeconds));
+  next(
+    new apiError(`Please wait ${retryAfterSeconds} seconds before requesting another verification email`, 429)
+  );
+  return true;
+};
 
 // Helper function to get client metadata
 const getClientMetadata = (req) => {
@@ -20,6 +74,157 @@ const getClientMetadata = (req) => {
   };
 };
 
+// Helper function to stop a login at the password step when a second factor is needed
+// Returns true when a challenge was sent instead of tokens
+const sendTwoFactorChallenge = (res, user) => {
+  let purpose = null;
+  if (user.twoFactor && user.twoFactor.enabled) {
+    purpose = "verify";
+  } else if (user.role === "admin") {
+    // 2FA is mandatory for admins, so they have to enroll before getting a session
+    purpose = "enroll";
+  }
+
+  if (!purpose) return false;
+
+  const { token: challengeToken, expiresAt } = createTwoFactorChallengeToken(
+    user._id,
+    user.tokenVersion,
+    purpose
+  );
+
+  res.status(200).json({
+    success: true,
+    ...(purpose === "verify" ? { twoFactorRequired: true } : { twoFactorSetupRequired: true }),
+    challengeToken,
+    expiresAt,
+  });
+  return true;
+};
+
+// Helper function to load the user behind a two-factor challenge token
+// Throws an apiError when the challenge is invalid, expired or for another purpose
+const resolveTwoFactorChallenge = async (challengeToken, purpose) => {
+  let decoded;
+  try {
+    decoded = verifyToken(challengeToken, "two_factor_challenge");
+  } catch (error) {
+    throw new apiError("Two-factor challenge is invalid or has expired. Please login again", 401);
+  }
+
+  if (decoded.purpose !== purpose) {
+    throw new apiError("Two-factor challenge is invalid or has expired. Please login again", 401);
+  }
+
+  const user = await User.findById(decoded.id).select(TWO_FACTOR_SECRET_FIELDS);
+  if (!user || !user.isTokenVersionValid(decoded.tokenVersion)) {
+    throw new apiError("Two-factor challenge is invalid or has expired. Please login again", 401);
+  }
+
+  if (user.isBlocked) {
+    throw new apiError("Your Account has been disabled", 403);
+  }
+
+  if (user.isLocked) {
+    const lockTimeRemaining = Math.ceil((user.lockUntil - Date.now()) / 1000 / 60);
+    throw new apiError(
+      `Account temporarily locked due to multiple failed login attempts. Try again in ${lockTimeRemaining} minutes`,
+      403
+    );
+  }
+
+  return user;
+};
+
+// Helper function to revoke everything after a rotated refresh token was presented again
+// Either the legitimate client or an attacker holds a copy, so no token of the user can be trusted
+const revokeAfterRefreshTokenReuse = async (req, blacklisted) => {
+  const { userId, tokenFamily } = blacklisted;
+
+  const familySessionsRevoked = tokenFamily
+    ? await Session.revokeTokenFamily(userId, tokenFamily, 'token_reuse')
+    : 0;
+  const sessionsRevoked = await Session.invalidateAllUserSessions(userId, 'token_reuse');
+
+  // Bumping tokenVersion also invalidates refresh tokens whose sessions have already expired
+  await TokenBlacklist.blacklistAllUserTokens(userId, 'token_reuse');
+  disconnectUser(userId, 'token_reuse');
+
+  await recordSecurityEvent(userId, "refresh_token_reuse", getClientMetadata(req), {
+    tokenFamily,
+    rotatedAt: blacklisted.blacklistedAt,
+    sessionsRevoked: familySessionsRevoked + sessionsRevoked,
+  });
+};
+
+// Helper function to count a failed login and record it, plus the lockout it may cause
+const recordFailedLogin = async (req, user, reason) => {
+  const wasLocked = user.isLocked;
+  await user.incLoginAttempts();
+
+  const metadata = getClientMetadata(req);
+  recordSecurityEventInBackground(user._id, "login_failed", metadata, { reason });
+
+  const updated = await User.findById(user._id, { loginAttempts: 1, lockUntil: 1 });
+  if (updated && updated.isLocked && !wasLocked) {
+    recordSecurityEventInBackground(user._id, "account_locked", metadata, {
+      loginAttempts: updated.loginAttempts,
+      lockUntil: updated.lockUntil,
+    });
+  }
+};
+
+// Helper function to record a completed login
+const recordLoginSuccess = (user, session, method) => {
+  recordSecurityEventInBackground(
+    user._id,
+    "login_success",
+    { ipAddress: session.ipAddress, userAgent: session.userAgent },
+    {
+      method,
+      sessionId: session._id,
+      device: formatDeviceLabel(session.deviceInfo),
+      location: session.location,
+      signInFlags: session.signInFlags,
+    }
+  );
+};
+
+// Helper function to issue tokens, create the session and set cookies after a completed login
+const startSession = async (req, res, user, method) => {
+  const metadata = getClientMetadata(req);
+
+  const { token: accessToken, expiresAt: accessExpiresAt } = createToken(
+    user._id,
+    user.tokenVersion,
+    metadata
+  );
+  const { token: refreshToken, family: tokenFamily } = createRefreshToken(
+    user._id,
+    user.tokenVersion,
+    metadata
+  );
+
+  // Resolve location and flag logins from a new country or device
+  const signIn = await assessSignIn(user._id, metadata);
+
+  const session = await Session.create({
+    userId: user._id,
+    token: accessToken,
+    refreshToken: refreshToken,
+    tokenFamily,
+    ...metadata,
+    ...signIn,
+    expiresAt: accessExpiresAt,
+  });
+  alertNewSignIn(user, signIn, metadata);
+  recordLoginSuccess(user, session, method);
+
+  setTokenCookies(res, accessToken, refreshToken);
+
+  return { accessToken, refreshToken };
+};
+
 // @desc Sign Up with Password Validation
 exports.signup = asyncHandler(async (req, res, next) => {
   const { firstname, lastname, email, password, phone } = req.body;
@@ -42,33 +247,13 @@ exports.signup = asyncHandler(async (req, res, next) => {
   });
 
   if (user) {
-    // Get client metadata
-    const metadata = getClientMetadata(req);
+    const { accessToken, refreshToken } = await startSession(req, res, user, "signup");
 
-    // Create access and refresh tokens with version and metadata
-    const { token: accessToken, expiresAt: accessExpiresAt } = createToken(
-      user._id,
-      user.tokenVersion,
-      metadata
-    );
-    const { token: refreshToken, expiresAt: refreshExpiresAt } = createRefreshToken(
-      user._id,
-      user.tokenVersion,
-      metadata
+    queueEmailInBackground(user.email, "welcome", { firstname: user.firstname });
+    sendVerificationEmail(user).catch((error) =>
+      console.error("Sending verification email failed:", error.message)
     );
 
-    // Create session record
-    await Session.create({
-      userId: user._id,
-      token: accessToken,
-      refreshToken: refreshToken,
-      ...metadata,
-      expiresAt: accessExpiresAt,
-    });
-
-    // Set secure HTTP-only cookies
-    setTokenCookies(res, accessToken, refreshToken);
-
     // Remove password from response
     const userResponse = user.toObject();
     delete userResponse.password;
@@ -95,6 +280,9 @@ exports.login = asyncHandler(async (req, res, next) => {
 
   // Check if account is locked
   if (user.isLocked) {
+    recordSecurityEventInBackground(user._id, "login_failed", getClientMetadata(req), {
+      reason: "account_locked"
+    });
     const lockTimeRemaining = Math.ceil((user.lockUntil - Date.now()) / 1000 / 60);
     return next(
       new apiError(
@@ -106,6 +294,9 @@ exports.login = asyncHandler(async (req, res, next) => {
 
   // Check if account is blocked
   if (user.isBlocked) {
+    recordSecurityEventInBackground(user._id, "login_failed", getClientMetadata(req), {
+      reason: "account_disabled"
+    });
     return next(new apiError("Your Account has been disabled", 403));
   }
 
@@ -114,39 +305,17 @@ exports.login = asyncHandler(async (req, res, next) => {
 
   if (!isPasswordValid) {
     // Increment failed login attempts
-    await user.incLoginAttempts();
+    await recordFailedLogin(req, user, "invalid_password");
     return next(new apiError("Invalid Password or Email", 401));
   }
 
+  // Ask for the second factor before issuing tokens
+  if (sendTwoFactorChallenge(res, user)) return;
+
   // Reset login attempts on successful login
   await user.resetLoginAttempts();
 
-  // Get client metadata
-  const metadata = getClientMetadata(req);
-
-  // Create tokens with version and metadata
-  const { token: accessToken, expiresAt: accessExpiresAt } = createToken(
-    user._id,
-    user.tokenVersion,
-    metadata
-  );
-  const { token: refreshToken, expiresAt: refreshExpiresAt } = createRefreshToken(
-    user._id,
-    user.tokenVersion,
-    metadata
-  );
-
-  // Create session record
-  await Session.create({
-    userId: user._id,
-    token: accessToken,
-    refreshToken: refreshToken,
-    ...metadata,
-    expiresAt: accessExpiresAt,
-  });
-
-  // Set secure HTTP-only cookies
-  setTokenCookies(res, accessToken, refreshToken);
+  const { accessToken, refreshToken } = await startSession(req, res, user, "password");
 
   // Delete password from response
   delete user._doc.password;
@@ -172,11 +341,17 @@ exports.adminLogin = asyncHandler(async (req, res, next) => {
 
   // Check if user is admin
   if (user.role !== 'admin') {
+    recordSecurityEventInBackground(user._id, "login_failed", getClientMetadata(req), {
+      reason: "not_admin"
+    });
     return next(new apiError("Access denied. Admin privileges required.", 403));
   }
 
   // Check if account is locked
   if (user.isLocked) {
+    recordSecurityEventInBackground(user._id, "login_failed", getClientMetadata(req), {
+      reason: "account_locked"
+    });
     const lockTimeRemaining = Math.ceil((user.lockUntil - Date.now()) / 1000 / 60);
     return next(
       new apiError(
@@ -187,6 +362,9 @@ exports.adminLogin = asyncHandler(async (req, res, next) => {
   }
 
   if (user.isBlocked) {
+    recordSecurityEventInBackground(user._id, "login_failed", getClientMetadata(req), {
+      reason: "account_disabled"
+    });
     return next(new apiError("Your Account has been disabled", 403));
   }
 
@@ -194,39 +372,17 @@ exports.adminLogin = asyncHandler(async (req, res, next) => {
   const isPasswordValid = await user.comparePassword(password);
 
   if (!isPasswordValid) {
-    await user.incLoginAttempts();
+    await recordFailedLogin(req, user, "invalid_password");
     return next(new apiError("Invalid Password or Email", 401));
   }
 
+  // Ask for the second factor before issuing tokens
+  if (sendTwoFactorChallenge(res, user)) return;
+
   // Reset login attempts on successful login
   await user.resetLoginAttempts();
 
-  // Get client metadata
-  const metadata = getClientMetadata(req);
-
-  // Create tokens with version and metadata
-  const { token: accessToken, expiresAt: accessExpiresAt } = createToken(
-    user._id,
-    user.tokenVersion,
-    metadata
-  );
-  const { token: refreshToken, expiresAt: refreshExpiresAt } = createRefreshToken(
-    user._id,
-    user.tokenVersion,
-    metadata
-  );
-
-  // Create session record
-  await Session.create({
-    userId: user._id,
-    token: accessToken,
-    refreshToken: refreshToken,
-    ...metadata,
-    expiresAt: accessExpiresAt,
-  });
-
-  // Set secure HTTP-only cookies
-  setTokenCookies(res, accessToken, refreshToken);
+  const { accessToken, refreshToken } = await startSession(req, res, user, "password");
 
   // Delete password from response
   delete user._doc.password;
@@ -261,12 +417,18 @@ exports.updateProfile = asyncHandler(async (req, res, next) => {
     return next(new apiError("User not found", 404));
   }
 
+  // A new email address has to be verified again
+  const emailChanged = !!email && email !== user.email;
+
+  // Changing the address sends a verification email, so it is throttled like a resend
+  if (emailChanged && rejectThrottledVerificationEmail(res, next, user)) return;
+
   // Update fields if provided
   if (firstname) user.firstname = firstname;
   if (lastname) user.lastname = lastname;
   if (email) user.email = email;
   if (phone) user.phone = phone;
-  if (avatar) user.image = avatar;
+  if (avatar) user.image = { url: avatar };
   if (name) {
     // If name is provided, split it into firstname and lastname
     const nameParts = name.trim().split(' ');
@@ -283,10 +445,17 @@ exports.updateProfile = asyncHandler(async (req, res, next) => {
       email: user.email,
       phone: user.phone,
       image: user.image,
+      ...(emailChanged && { emailVerified: false, emailVerifiedAt: null }),
     },
     { new: true, runValidators: true }
   ).select("-password");
 
+  if (emailChanged) {
+    sendVerificationEmail(updatedUser).catch((error) =>
+      console.error("Sending verification email failed:", error.message)
+    );
+  }
+
   res.status(200).json({
     success: true,
     message: "Profile updated successfully",
@@ -331,6 +500,16 @@ exports.changePassword = asyncHandler(async (req, res, next) => {
 
   // Invalidate all existing sessions for this user
   await Session.invalidateAllUserSessions(user._id, 'password_change');
+  disconnectUser(user._id, 'password_change');
+
+  queueEmailInBackground(user.email, "password_changed", {
+    firstname: user.firstname,
+    changedAt: new Date(),
+    ipAddress: getClientMetadata(req).ipAddress,
+  });
+  recordSecurityEventInBackground(user._id, "password_changed", getClientMetadata(req), {
+    method: "change"
+  });
 
   // Clear current user's cookies
   clearTokenCookies(res);
@@ -352,8 +531,23 @@ exports.refreshToken = asyncHandler(async (req, res, next) => {
 
   try {
     // Check if token is blacklisted
-    const isBlacklisted = await TokenBlacklist.isBlacklisted(refreshToken);
-    if (isBlacklisted) {
+    const blacklisted = await TokenBlacklist.findBlacklisted(refreshToken);
+    if (blacklisted) {
+      if (blacklisted.reason === 'token_rotation') {
+        // Most likely a concurrent refresh from the same client, which already got the new tokens
+        if (Date.now() - blacklisted.blacklistedAt < REFRESH_REUSE_GRACE_SECONDS * 1000) {
+          return next(new apiError("This refresh token was just rotated. Use the new refresh token", 401));
+        }
+
+        // A token that was already rotated is being replayed, so treat it as stolen
+        await revokeAfterRefreshTokenReuse(req, blacklisted);
+        return next(
+          new apiError(
+            "This refresh token was already used. All sessions have been logged out for your security. Please login again",
+            401
+          )
+        );
+      }
       return next(new apiError("Refresh token has been invalidated. Please login again", 401));
     }
 
@@ -383,16 +577,24 @@ exports.refreshToken = asyncHandler(async (req, res, next) => {
     // Get client metadata
     const metadata = getClientMetadata(req);
 
-    // Blacklist old refresh token (token rotation security)
-    await TokenBlacklist.blacklistToken(
+    // Tokens issued before families existed start a new family
+    const tokenFamily = decoded.family || crypto.randomBytes(16).toString("hex");
+
+    // Claim the old refresh token before issuing new ones (token rotation security)
+    // Only one of several concurrent requests with the same token gets past this
+    const claimed = await TokenBlacklist.blacklistTokenIfMissing(
       refreshToken,
       user._id,
       new Date(decoded.exp * 1000),
-      'token_rotation'
+      'token_rotation',
+      { ...metadata, tokenFamily }
     );
+    if (!claimed) {
+      return next(new apiError("This refresh token was just rotated. Use the new refresh token", 401));
+    }
 
     // Invalidate old session
-    await Session.updateOne(
+    const previousSession = await Session.findOneAndUpdate(
       { refreshToken, userId: user._id },
       { $set: { isActive: false } }
     );
@@ -406,7 +608,8 @@ exports.refreshToken = asyncHandler(async (req, res, next) => {
     const { token: newRefreshToken } = createRefreshToken(
       user._id,
       user.tokenVersion,
-      metadata
+      metadata,
+      tokenFamily
     );
 
     // Create new session
@@ -414,7 +617,12 @@ exports.refreshToken = asyncHandler(async (req, res, next) => {
       userId: user._id,
       token: newAccessToken,
       refreshToken: newRefreshToken,
+      tokenFamily,
       ...metadata,
+      deviceInfo: parseUserAgent(metadata.userAgent),
+      location: lookupLocation(metadata.ipAddress),
+      // A refresh continues the same login, so keep the flags from when it happened
+      signInFlags: previousSession ? previousSession.signInFlags : undefined,
       expiresAt: accessExpiresAt,
     });
 
@@ -459,8 +667,13 @@ exports.logout = asyncHandler(async (req, res, next) => {
     // Invalidate session
     if (req.session) {
       await req.session.invalidate('logout');
+      disconnectSession(req.session._id, 'logout');
     }
 
+    recordSecurityEventInBackground(req.user._id, "logout", getClientMetadata(req), {
+      sessionId: req.session ? req.session._id : undefined
+    });
+
     // Clear cookies
     clearTokenCookies(res);
 
@@ -478,6 +691,11 @@ exports.logoutAll = asyncHandler(async (req, res, next) => {
   try {
     // Invalidate all sessions for this user
     const sessionsInvalidated = await Session.invalidateAllUserSessions(req.user._id, 'logout_all');
+    disconnectUser(req.user._id, 'logout_all');
+
+    recordSecurityEventInBackground(req.user._id, "logout_all", getClientMetadata(req), {
+      sessionsInvalidated
+    });
 
     // Clear current cookies
     clearTokenCookies(res);
@@ -491,6 +709,147 @@ exports.logoutAll = asyncHandler(async (req, res, next) => {
   }
 });
 
+// @desc Request a password reset link
+exports.forgotPassword = asyncHandler(async (req, res) => {
+  const email = String(req.body.email).trim();
+  const user = await User.findOne({ email });
+
+  // Only send when the account exists, is not suspended and no link was sent just now
+  const recentlyRequested =
+    user &&
+    user.passwordReset &&
+    user.passwordReset.requestedAt &&
+    Date.now() - user.passwordReset.requestedAt < PASSWORD_RESET_COOLDOWN_SECONDS * 1000;
+
+  if (user && !user.isBlocked && !recentlyRequested) {
+    const token = crypto.randomBytes(32).toString("hex");
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000);
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "passwordReset.tokenHash": hashResetToken(token),
+          "passwordReset.expiresAt": expiresAt,
+          "passwordReset.requestedAt": new Date(),
+        },
+      }
+    );
+
+    queueEmailInBackground(user.email, "password_reset", {
+      firstname: user.firstname,
+      url: `${CLIENT_URL}/reset-password?token=${token}`,
+      expiresAt,
+    });
+  }
+
+  // Same response whether or not the email is registered
+  res.status(200).json({
+    success: true,
+    message: "If an account exists for this email, a password reset link has been sent"
+  });
+});
+
+// @desc Reset password with the token from the reset link
+exports.resetPassword = asyncHandler(async (req, res, next) => {
+  const { token, newPassword, confirmPassword } = req.body;
+  const tokenHash = hashResetToken(token);
+  const resetCondition = {
+    "passwordReset.tokenHash": tokenHash,
+    "passwordReset.expiresAt": { $gt: new Date() },
+  };
+
+  const user = await User.findOne(resetCondition);
+  if (!user) {
+    return next(new apiError("Password reset link is invalid or has expired", 400));
+  }
+
+  const passwordValidation = validatePassword(newPassword, confirmPassword ?? null, {
+    email: user.email,
+    firstname: user.firstname,
+    lastname: user.lastname
+  });
+
+  if (!passwordValidation.isValid) {
+    return next(new apiError(passwordValidation.errors.join(', '), 400));
+  }
+
+  // Update password (will trigger pre-save hook to hash and increment tokenVersion)
+  user.password = newPassword;
+  user.passwordReset = undefined;
+  user.loginAttempts = 0;
+  user.lockUntil = undefined;
+
+  // Receiving the reset link proves ownership of the address
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+
+  // The token is consumed by the same write as the new password: the save only
+  // matches while the token is unused, so it works once and a failed save keeps it valid
+  user.$where = resetCondition;
+  try {
+    await user.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.DocumentNotFoundError) {
+      return next(new apiError("Password reset link is invalid or has expired", 400));
+    }
+    throw error;
+  }
+
+  // Invalidate all existing sessions for this user
+  await Session.invalidateAllUserSessions(user._id, 'password_change');
+  disconnectUser(user._id, 'password_change');
+
+  queueEmailInBackground(user.email, "password_changed", {
+    firstname: user.firstname,
+    changedAt: new Date(),
+    ipAddress: getClientMetadata(req).ipAddress,
+  });
+  recordSecurityEventInBackground(user._id, "password_changed", getClientMetadata(req), {
+    method: "reset"
+  });
+
+  clearTokenCookies(res);
+
+  res.status(200).json({
+    success: true,
+    message: "Password reset successfully. Please login with your new password."
+  });
+});
+
+// @desc Verify email address with the token from the verification link
+exports.verifyEmail = asyncHandler(async (req, res) => {
+  // Throws a 400 apiError for invalid, expired or used links
+  const user = await confirmEmailVerification(req.body.token);
+
+  res.status(200).json({
+    success: true,
+    message: "Email verified successfully",
+    data: { emailVerified: user.emailVerified, emailVerifiedAt: user.emailVerifiedAt }
+  });
+});
+
+// @desc Resend the verification email (throttled)
+exports.resendVerificationEmail = asyncHandler(async (req, res, next) => {
+  const user = req.user;
+
+  if (user.emailVerified) {
+    return next(new apiError("Your email address is already verified", 400));
+  }
+
+  if (rejectThrottledVerificationEmail(res, next, user)) return;
+
+  const expiresAt = await sendVerificationEmail(user);
+
+  res.status(200).json({
+    success: true,
+    message: `Verification email sent to ${user.email}`,
+    data: { expiresAt }
+  });
+});
+
 // @desc Get active sessions for current user
 exports.getActiveSessions = asyncHandler(async (req, res, next) => {
   const sessions = await Session.findActiveSessions(req.user._id);
@@ -498,8 +857,13 @@ exports.getActiveSessions = asyncHandler(async (req, res, next) => {
   const sessionData = sessions.map(session => ({
     id: session._id,
     device: session.deviceInfo,
+    deviceLabel: formatDeviceLabel(session.deviceInfo),
     ipAddress: session.ipAddress,
     location: session.location,
+    signInFlags: {
+      newCountry: Boolean(session.signInFlags && session.signInFlags.newCountry),
+      newDevice: Boolean(session.signInFlags && session.signInFlags.newDevice)
+    },
     lastActivity: session.lastActivity,
     createdAt: session.createdAt,
     isCurrent: session.token === req.token
@@ -511,3 +875,263 @@ exports.getActiveSessions = asyncHandler(async (req, res, next) => {
     data: sessionData
   });
 });
+
+// @desc Log out a specific session of the current user
+exports.revokeSession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    userId: req.user._id,
+    isActive: true
+  });
+
+  if (!session) {
+    return next(new apiError(`No active session found for id ${req.params.id}`, 404));
+  }
+
+  await session.invalidate('session_revoked');
+  disconnectSession(session._id, 'session_revoked');
+
+  // Revoking the current session is the same as logging out
+  const isCurrent = session.token === req.token;
+
+  recordSecurityEventInBackground(req.user._id, "session_revoked", getClientMetadata(req), {
+    sessionId: session._id,
+    device: formatDeviceLabel(session.deviceInfo),
+    isCurrent
+  });
+  if (isCurrent) {
+    clearTokenCookies(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: isCurrent ? "Logged out successfully" : "Session logged out successfully"
+  });
+});
+
+// @desc Logout from all other devices - keeps the current session
+exports.logoutOthers = asyncHandler(async (req, res) => {
+  // Include sessions whose access token expired but whose refresh token is still usable
+  const sessions = await Session.find({
+    userId: req.user._id,
+    isActive: true,
+    token: { $ne: req.token }
+  });
+
+  for (const session of sessions) {
+    await session.invalidate('session_revoked');
+    disconnectSession(session._id, 'session_revoked');
+  }
+
+  recordSecurityEventInBackground(req.user._id, "session_revoked", getClientMetadata(req), {
+    sessionIds: sessions.map((session) => session._id),
+    allOtherDevices: true
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Logged out from all other devices. ${sessions.length} session(s) invalidated.`
+  });
+});
+
+// @desc Get two-factor authentication status
+exports.getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select("+twoFactor.recoveryCodes");
+  const twoFactor = user.twoFactor || {};
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: Boolean(twoFactor.enabled),
+      enabledAt: twoFactor.enabledAt,
+      required: user.role === "admin",
+      recoveryCodesRemaining: twoFactor.enabled
+        ? (twoFactor.recoveryCodes || []).filter((item) => !item.usedAt).length
+        : 0
+    }
+  });
+});
+
+// @desc Start two-factor enrollment (signed in, or with an enroll challenge from login)
+exports.setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = req.user
+    ? await User.findById(req.user._id)
+    : await resolveTwoFactorChallenge(req.body.challengeToken, "enroll");
+
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return next(new apiError("Two-factor authentication is already enabled", 400));
+  }
+
+  // The secret only becomes active once a code from it is confirmed
+  const secret = generateSecret();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { "twoFactor.pendingSecret": encryptSecret(secret) } }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email, TWO_FACTOR_ISSUER)
+    }
+  });
+});
+
+// @desc Confirm two-factor enrollment with a code from the authenticator app
+exports.confirmTwoFactor = asyncHandler(async (req, res, next) => {
+  const viaChallenge = !req.user;
+  const user = viaChallenge
+    ? await resolveTwoFactorChallenge(req.body.challengeToken, "enroll")
+    : await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return next(new apiError("Two-factor authentication is already enabled", 400));
+  }
+
+  if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+    return next(new apiError("Start two-factor setup before confirming it", 400));
+  }
+
+  const step = verifyCode(decryptSecret(user.twoFactor.pendingSecret), req.body.code);
+  if (step === null) {
+    // Guessing codes with a stolen password counts as a failed login
+    if (viaChallenge) await recordFailedLogin(req, user, "invalid_two_factor_code");
+    return next(new apiError("Invalid two-factor code", 401));
+  }
+
+  const { codes, hashed } = generateRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = hashed;
+  await user.save();
+
+  const metadata = getClientMetadata(req);
+  recordSecurityEventInBackground(user._id, "two_factor_enabled", metadata);
+  queueEmailInBackground(user.email, "two_factor_enabled", {
+    firstname: user.firstname,
+    enabledAt: user.twoFactor.enabledAt,
+    ipAddress: metadata.ipAddress,
+  });
+
+  const response = {
+    success: true,
+    message: "Two-factor authentication enabled. Store your recovery codes somewhere safe, they are only shown once.",
+    recoveryCodes: codes
+  };
+
+  // Enrolling from the login challenge completes the login
+  if (viaChallenge) {
+    await user.resetLoginAttempts();
+    const { accessToken, refreshToken } = await startSession(req, res, user, "two_factor_setup");
+    response.token = accessToken;
+    response.refreshToken = refreshToken;
+    response.data = await User.findById(user._id).select("-password");
+  }
+
+  res.status(200).json(response);
+});
+
+// @desc Complete login with a two-factor code or recovery code
+exports.verifyTwoFactor = asyncHandler(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  const user = await resolveTwoFactorChallenge(challengeToken, "verify");
+
+  const result = await verifySecondFactor(user, { code, recoveryCode });
+  if (!result.valid) {
+    await recordFailedLogin(req, user, "invalid_two_factor_code");
+    return next(new apiError("Invalid two-factor code", 401));
+  }
+
+  // Reset login attempts on successful login
+  await user.resetLoginAttempts();
+
+  const { accessToken, refreshToken } = await startSession(req, res, user, result.method);
+
+  const response = {
+    success: true,
+    token: accessToken,
+    refreshToken: refreshToken,
+    data: await User.findById(user._id).select("-password")
+  };
+
+  if (result.method === "recovery_code") {
+    response.recoveryCodesRemaining = result.remainingRecoveryCodes;
+  }
+
+  res.status(200).json(response);
+});
+
+// @desc Disable two-factor authentication (not allowed for admins)
+exports.disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (req.user.role === "admin") {
+    return next(new apiError("Two-factor authentication is mandatory for admin accounts", 403));
+  }
+
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+  if (!user.twoFactor || !user.twoFactor.enabled) {
+    return next(new apiError("Two-factor authentication is not enabled", 400));
+  }
+
+  const isMatch = await user.comparePassword(password);
+  if (!isMatch) {
+    return next(new apiError("Password is incorrect", 401));
+  }
+
+  const result = await verifySecondFactor(user, { code, recoveryCode });
+  if (!result.valid) {
+    return next(new apiError("Invalid two-factor code", 401));
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.enabledAt": 1,
+        "twoFactor.secret": 1,
+        "twoFactor.pendingSecret": 1,
+        "twoFactor.lastUsedStep": 1,
+        "twoFactor.recoveryCodes": 1
+      }
+    }
+  );
+
+  recordSecurityEventInBackground(user._id, "two_factor_disabled", getClientMetadata(req), {
+    method: result.method
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication disabled"
+  });
+});
+
+// @desc Replace the recovery codes (requires a current two-factor code)
+exports.regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+  if (!user.twoFactor || !user.twoFactor.enabled) {
+    return next(new apiError("Two-factor authentication is not enabled", 400));
+  }
+
+  const result = await verifySecondFactor(user, { code: req.body.code });
+  if (!result.valid) {
+    return next(new apiError("Invalid two-factor code", 401));
+  }
+
+  const { codes, hashed } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { $set: { "twoFactor.recoveryCodes": hashed } });
+
+  res.status(200).json({
+    success: true,
+    message: "New recovery codes generated. Your previous codes no longer work.",
+    recoveryCodes: codes
+  });
+});
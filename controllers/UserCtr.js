@@ -9,14 +9,34 @@ const bcrypt = require("bcrypt");
 
 // Error
 const apiError = require("../utils/apiError");
+const { notifyInBackground } = require("../utils/notifications");
 
 // Configuration for Multer
-const storage = require("../config/cloudinary");
+const { profileImageStorage, deleteStoredImage } = require("../config/storage");
+const { MAX_IMAGE_SIZE_BYTES, imageFileFilter } = require("../utils/imageProcessing");
 const multer = require("multer");
 const { selectFields } = require("express-validator/src/select-fields");
-const upload = multer({ storage: storage });
-
-exports.uploadProfileImage = upload.single("profile");
+const upload = multer({
+  storage: profileImageStorage,
+  limits: { files: 1, fileSize: MAX_IMAGE_SIZE_BYTES },
+  fileFilter: imageFileFilter,
+}).single("profile");
+
+// @desc Upload the profile photo to storage (multipart field "profile")
+exports.uploadProfileImage = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE") {
+        return next(new apiError("Please upload a single image in the profile field", 400));
+      }
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return next(new apiError(`The image must be at most ${MAX_IMAGE_SIZE_BYTES / 1024 / 1024}MB`, 400));
+      }
+      return next(new apiError(err.message, 400));
+    }
+    next(err);
+  });
+};
 
 // @desc Create a User
 exports.createUser = handlers.createOne(User);
@@ -96,14 +116,23 @@ exports.profilePhotoUpload = asyncHandler(async (req, res, next) => {
 
   // Check is user is updating their photo
   if (req.file) {
+    const previousImage = user.image;
+
     user = await User.findByIdAndUpdate(
       req.user._id,
-      { $set: { image: req.file.path } },
+      { $set: { image: req.file.image } },
       {
         new: true,
       }
     );
 
+    // Remove the replaced photo from storage
+    if (previousImage && previousImage.variants) {
+      await deleteStoredImage(previousImage).catch((err) =>
+        console.error("Failed to delete previous profile photo:", err)
+      );
+    }
+
     res.status(200).json({ message: "Successfully uploaded", data: user });
   }
 });
@@ -164,6 +193,13 @@ exports.following = asyncHandler(async (req, res, next) => {
         },
         { new: true }
       );
+
+      notifyInBackground(B._id, "new_follower", {
+        title: "You have a new follower",
+        message: `${A.firstname} ${A.lastname} started following you`,
+        data: { userId: A._id },
+      });
+
       res.json({
         status: "success",
         data: "You have successfully follow this user",
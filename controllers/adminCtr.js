@@ -1,7 +1,15 @@
 const User = require("../model/User");
 const Listing = require("../model/Listing");
+const Favorite = require("../model/Favorite");
+const Conversation = require("../model/Conversation");
+const Message = require("../model/Message");
+const Session = require("../model/Session");
 const asyncHandler = require("express-async-handler");
 const apiError = require("../utils/apiError");
+const { deleteListingImages } = require("../utils/listingImages");
+const { queueEmailInBackground } = require("../utils/email");
+const { disconnectUser } = require("../utils/realtime");
+const { recordAdminAction } = require("../utils/securityEvents");
 
 // @desc Get admin statistics
 exports.getAdminStats = asyncHandler(async (req, res, next) => {
@@ -66,6 +74,7 @@ exports.getAdminStats = asyncHandler(async (req, res, next) => {
       pending: 0,
       published: 0,
       rejected: 0,
+      expired: 0,
       draft: 0,
     };
 
@@ -73,9 +82,15 @@ exports.getAdminStats = asyncHandler(async (req, res, next) => {
       if (item._id === "pending") statusStats.pending = item.count;
       else if (item._id === "published") statusStats.published = item.count;
       else if (item._id === "rejected") statusStats.rejected = item.count;
+      else if (item._id === "expired") statusStats.expired = item.count;
       else if (item._id === "draft") statusStats.draft = item.count;
     });
 
+    // Count renewal requests awaiting approval
+    const pendingRenewals = await Listing.countDocuments({
+      "renewalRequest.status": "pending",
+    });
+
     // Count new listings this month
     const newListingsThisMonth = await Listing.countDocuments({
       createdAt: { $gte: firstDayOfMonth },
@@ -141,6 +156,7 @@ exports.getAdminStats = asyncHandler(async (req, res, next) => {
         listings: {
           total: totalListings,
           byStatus: statusStats,
+          pendingRenewals,
           newThisMonth: newListingsThisMonth,
         },
         recentPendingListings: recentPendingListings,
@@ -290,6 +306,8 @@ exports.updateUserStatus = asyncHandler(async (req, res, next) => {
     return next(new apiError(`No user found for id ${req.params.id}`, 404));
   }
 
+  const wasBlocked = user.isBlocked;
+
   // Map status to isBlocked field
   if (status === "suspended") {
     user.isBlocked = true;
@@ -299,12 +317,62 @@ exports.updateUserStatus = asyncHandler(async (req, res, next) => {
 
   await user.save();
 
+  // Let the user know their account was suspended
+  if (user.isBlocked && !wasBlocked) {
+    queueEmailInBackground(user.email, "account_suspended", { firstname: user.firstname });
+  }
+
+  if (user.isBlocked !== wasBlocked) {
+    await recordAdminAction(req, user._id, "admin_status_changed", {
+      status: user.isBlocked ? "suspended" : "active",
+    });
+  }
+
   res.status(200).json({
     success: true,
     data: user,
   });
 });
 
+// @desc Reset a user's two-factor authentication, e.g. after a lost device (admin only)
+exports.resetUserTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new apiError(`No user found for id ${req.params.id}`, 404));
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.enabledAt": 1,
+        "twoFactor.secret": 1,
+        "twoFactor.pendingSecret": 1,
+        "twoFactor.lastUsedStep": 1,
+        "twoFactor.recoveryCodes": 1,
+      },
+    }
+  );
+
+  // Whoever holds the old device must not keep a session
+  const sessionsInvalidated = await Session.invalidateAllUserSessions(user._id, "forced_logout");
+  disconnectUser(user._id, "forced_logout");
+
+  queueEmailInBackground(user.email, "two_factor_reset", {
+    firstname: user.firstname,
+    required: user.role === "admin",
+  });
+
+  await recordAdminAction(req, user._id, "admin_two_factor_reset", { sessionsInvalidated });
+
+  res.status(200).json({
+    success: true,
+    message: `Two-factor authentication reset. ${sessionsInvalidated} session(s) invalidated.`,
+  });
+});
+
 // @desc Delete user (admin only)
 exports.deleteUser = asyncHandler(async (req, res, next) => {
   const user = await User.findById(req.params.id);
@@ -313,12 +381,33 @@ exports.deleteUser = asyncHandler(async (req, res, next) => {
     return next(new apiError(`No user found for id ${req.params.id}`, 404));
   }
 
-  // Delete all user's listings
+  // Delete all user's listings and their uploaded images
+  const listings = await Listing.find({ author: user._id }, { images: 1 });
+  await Promise.all(listings.map((listing) => deleteListingImages(listing)));
   await Listing.deleteMany({ author: user._id });
 
+  // Delete the user's favorites and favorites of their listings
+  await Favorite.deleteMany({
+    $or: [{ user: user._id }, { listing: { $in: listings.map((listing) => listing._id) } }],
+  });
+
+  // Delete the user's conversations and their messages
+  const conversations = await Conversation.find(
+    { $or: [{ owner: user._id }, { tenant: user._id }] },
+    { _id: 1 }
+  );
+  await Message.deleteMany({ conversation: { $in: conversations.map((c) => c._id) } });
+  await Conversation.deleteMany({ _id: { $in: conversations.map((c) => c._id) } });
+
   // Delete user
   await User.findByIdAndDelete(req.params.id);
 
+  // Security events of the user are kept, so the audit trail still shows the deletion
+  await recordAdminAction(req, user._id, "admin_user_deleted", {
+    email: user.email,
+    listingsDeleted: listings.length,
+  });
+
   res.status(200).json({
     success: true,
     message: "User and all their listings deleted successfully",
@@ -327,7 +416,7 @@ exports.deleteUser = asyncHandler(async (req, res, next) => {
 
 // @desc Get all listings (admin only)
 exports.getAllListings = asyncHandler(async (req, res) => {
-  const { status, propertyType, search, page = 1, limit = 10 } = req.query;
+  const { status, propertyType, renewalStatus, search, page = 1, limit = 10 } = req.query;
 
   // Build query
   let query = {};
@@ -340,6 +429,11 @@ exports.getAllListings = asyncHandler(async (req, res) => {
     query.propertyType = propertyType;
   }
 
+  // Filter by renewal request status (e.g. "pending" for the renewal approval queue)
+  if (renewalStatus) {
+    query["renewalRequest.status"] = renewalStatus;
+  }
+
   if (search) {
     query.$or = [
       { title: { $regex: search, $options: "i" } },
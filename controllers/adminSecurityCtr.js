@@ -0,0 +1,229 @@
+const jwt = require("jsonwebtoken");
+const User = require("../model/User");
+const Session = require("../model/Session");
+const TokenBlacklist = require("../model/TokenBlacklist");
+const SecurityEvent = require("../model/SecurityEvent");
+const asyncHandler = require("express-async-handler");
+const apiError = require("../utils/apiError");
+const { parsePagination } = require("../utils/pagination");
+const { disconnectSession, disconnectUser } = require("../utils/realtime");
+const { formatDeviceLabel } = require("../utils/userAgent");
+const { recordAdminAction } = require("../utils/securityEvents");
+
+// Helper function to load the user of the route or send a 404
+const findUserOr404 = async (req, next) => {
+  const user = await User.findById(req.params.id).select("-password");
+  if (!user) {
+    next(new apiError(`No user found for id ${req.params.id}`, 404));
+    return null;
+  }
+  return user;
+};
+
+// @desc Get a user's active sessions (admin only)
+exports.getUserSessions = asyncHandler(async (req, res, next) => {
+  const user = await findUserOr404(req, next);
+  if (!user) return;
+
+  const [stats, sessions] = await Promise.all([
+    Session.getUserSessionStats(user._id),
+    Session.findActiveSessions(user._id),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    stats: {
+      totalActiveSessions: stats.totalActiveSessions,
+      oldestSession: stats.oldestSession ? new Date(stats.oldestSession) : null,
+      newestSession: stats.newestSession ? new Date(stats.newestSession) : null,
+    },
+    data: sessions.map((session) => ({
+      id: session._id,
+      device: session.deviceInfo,
+      deviceLabel: formatDeviceLabel(session.deviceInfo),
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      location: session.location,
+      signInFlags: session.signInFlags,
+      lastActivity: session.lastActivity,
+      createdAt: session.createdAt,
+      expiresAt: session.expiresAt,
+    })),
+  });
+});
+
+// @desc Force logout one of a user's sessions (admin only)
+exports.revokeUserSession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.sessionId,
+    userId: req.params.id,
+    isActive: true,
+  });
+
+  if (!session) {
+    return next(new apiError(`No active session found for id ${req.params.sessionId}`, 404));
+  }
+
+  await session.invalidate("forced_logout");
+  disconnectSession(session._id, "forced_logout");
+
+  await recordAdminAction(req, session.userId, "admin_session_revoked", {
+    sessionId: session._id,
+    ipAddress: session.ipAddress,
+    device: formatDeviceLabel(session.deviceInfo),
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Session logged out successfully",
+  });
+});
+
+// @desc Force logout all of a user's sessions (admin only)
+exports.revokeAllUserSessions = asyncHandler(async (req, res, next) => {
+  const user = await findUserOr404(req, next);
+  if (!user) return;
+
+  const sessionsInvalidated = await Session.invalidateAllUserSessions(user._id, "forced_logout");
+  disconnectUser(user._id, "forced_logout");
+
+  await recordAdminAction(req, user._id, "admin_sessions_revoked", { sessionsInvalidated });
+
+  res.status(200).json({
+    success: true,
+    message: `Logged out from all devices. ${sessionsInvalidated} session(s) invalidated.`,
+  });
+});
+
+// @desc Unlock an account locked after failed login attempts (admin only)
+exports.unlockUser = asyncHandler(async (req, res, next) => {
+  const user = await findUserOr404(req, next);
+  if (!user) return;
+
+  if (!user.isLocked && !user.loginAttempts) {
+    return next(new apiError("This account is not locked", 400));
+  }
+
+  const { loginAttempts, lockUntil } = user;
+
+  // Don't use resetLoginAttempts: it would record a login as well
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { loginAttempts: 0 }, $unset: { lockUntil: 1 } }
+  );
+
+  await recordAdminAction(req, user._id, "admin_account_unlocked", { loginAttempts, lockUntil });
+
+  res.status(200).json({
+    success: true,
+    message: "Account unlocked successfully",
+  });
+});
+
+// @desc Get a user's login history, one entry per login (admin only)
+// Rotated sessions of the same login share a token family and are merged
+exports.getUserLoginHistory = asyncHandler(async (req, res, next) => {
+  const user = await findUserOr404(req, next);
+  if (!user) return;
+
+  const { page, limit, skip } = parsePagination(req.query);
+
+  const [result] = await Session.aggregate([
+    { $match: { userId: user._id } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: { $ifNull: ["$tokenFamily", { $toString: "$_id" }] },
+        signedInAt: { $first: "$createdAt" },
+        ipAddress: { $first: "$ipAddress" },
+        userAgent: { $first: "$userAgent" },
+        deviceInfo: { $first: "$deviceInfo" },
+        location: { $first: "$location" },
+        signInFlags: { $first: "$signInFlags" },
+        lastActivity: { $max: "$lastActivity" },
+        isActive: { $max: "$isActive" },
+        sessions: { $sum: 1 },
+      },
+    },
+    { $sort: { signedInAt: -1 } },
+    {
+      $facet: {
+        data: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+
+  res.status(200).json({
+    success: true,
+    count: result.data.length,
+    total,
+    pagination: { page, limit, pages: Math.ceil(total / limit) },
+    data: result.data.map(({ _id, ...login }) => ({
+      ...login,
+      deviceLabel: formatDeviceLabel(login.deviceInfo),
+    })),
+  });
+});
+
+// @desc Get a user's blacklisted tokens that have not expired yet (admin only)
+exports.getUserBlacklistedTokens = asyncHandler(async (req, res, next) => {
+  const user = await findUserOr404(req, next);
+  if (!user) return;
+
+  const { page, limit, skip } = parsePagination(req.query);
+  const query = { userId: user._id, expiresAt: { $gt: new Date() } };
+
+  const [entries, total] = await Promise.all([
+    TokenBlacklist.find(query).sort({ blacklistedAt: -1 }).skip(skip).limit(limit),
+    TokenBlacklist.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    total,
+    pagination: { page, limit, pages: Math.ceil(total / limit) },
+    // The token itself is never returned
+    data: entries.map((entry) => ({
+      id: entry._id,
+      tokenType: (jwt.decode(entry.token) || {}).type,
+      reason: entry.reason,
+      tokenFamily: entry.tokenFamily,
+      ipAddress: entry.ipAddress,
+      userAgent: entry.userAgent,
+      blacklistedAt: entry.blacklistedAt,
+      expiresAt: entry.expiresAt,
+    })),
+  });
+});
+
+// @desc Get the audit trail of admin actions (admin only)
+exports.getAuditLog = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+
+  const query = { actor: { $exists: true } };
+  if (req.query.userId) query.user = req.query.userId;
+  if (req.query.adminId) query.actor = req.query.adminId;
+
+  const [events, total] = await Promise.all([
+    SecurityEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("user", "firstname lastname email")
+      .populate("actor", "firstname lastname email"),
+    SecurityEvent.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: events.length,
+    total,
+    pagination: { page, limit, pages: Math.ceil(total / limit) },
+    data: events,
+  });
+});
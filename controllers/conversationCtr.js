@@ -0,0 +1,230 @@
+const Conversation = require("../model/Conversation");
+const Message = require("../model/Message");
+const Listing = require("../model/Listing");
+const User = require("../model/User");
+const asyncHandler = require("express-async-handler");
+const apiError = require("../utils/apiError");
+const { parsePagination } = require("../utils/pagination");
+const { sendToUser } = require("../utils/realtime");
+
+// Public profile fields of conversation participants (never email or phone)
+const PARTICIPANT_FIELDS = "firstname lastname image";
+
+// Helper function to check whether either user has blocked the other
+const isBlockedBetween = (userA, userB) =>
+  userA.blocked.some((id) => id.toString() === userB._id.toString()) ||
+  userB.blocked.some((id) => id.toString() === userA._id.toString());
+
+// Helper function to shape a conversation for the current user
+const formatConversation = (conversation, userId) => ({
+  _id: conversation._id,
+  listing: conversation.listing,
+  role: conversation.roleOf(userId),
+  participant: conversation.otherParticipant(userId),
+  lastMessage: conversation.lastMessage,
+  lastMessageAt: conversation.lastMessageAt,
+  unreadCount: conversation.unreadFor(userId),
+  createdAt: conversation.createdAt,
+});
+
+// Helper function to load a conversation the current user takes part in
+const findOwnConversation = async (req, next) => {
+  const { id } = req.params;
+  const conversation = await Conversation.findOne({
+    _id: id,
+    $or: [{ owner: req.user._id }, { tenant: req.user._id }],
+  });
+
+  if (!conversation) {
+    next(new apiError(`No conversation found for id ${id}`, 404));
+    return null;
+  }
+
+  return conversation;
+};
+
+// Helper function to store a message and update the conversation summary
+const addMessage = async (conversation, sender, body) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: sender._id,
+    body,
+  });
+
+  const recipientUnread =
+    conversation.roleOf(sender._id) === "owner" ? "tenantUnread" : "ownerUnread";
+  const lastMessage = { body, sender: sender._id, createdAt: message.createdAt };
+
+  // Single atomic update so concurrent messages don't lose unread increments
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $inc: { [recipientUnread]: 1 },
+      $set: { lastMessage, lastMessageAt: message.createdAt },
+    }
+  );
+
+  // Keep the loaded document in step for the response
+  conversation.lastMessage = lastMessage;
+  conversation.lastMessageAt = message.createdAt;
+  conversation[recipientUnread] += 1;
+
+  // Push the message to the recipient's open streams
+  sendToUser(conversation.otherParticipant(sender._id), "message", {
+    conversationId: conversation._id,
+    listingId: conversation.listing,
+    message,
+  });
+
+  return message;
+};
+
+// @desc Start a conversation about a listing (or continue the existing one)
+exports.startConversation = asyncHandler(async (req, res, next) => {
+  const { listingId, body } = req.body;
+
+  const listing = await Listing.findById(listingId);
+  if (!listing || listing.status !== "published") {
+    return next(new apiError(`No listing found for id ${listingId}`, 404));
+  }
+
+  if (listing.author.toString() === req.user._id.toString()) {
+    return next(new apiError("You cannot message yourself about your own listing", 400));
+  }
+
+  const owner = await User.findById(listing.author);
+  if (!owner) {
+    return next(new apiError("The owner of this listing no longer exists", 404));
+  }
+
+  if (isBlockedBetween(req.user, owner)) {
+    return next(new apiError("You cannot message this user", 403));
+  }
+
+  // Upsert so two first messages sent at once share one conversation
+  const result = await Conversation.findOneAndUpdate(
+    { listing: listing._id, tenant: req.user._id },
+    { $setOnInsert: { owner: owner._id } },
+    { upsert: true, new: true, setDefaultsOnInsert: true, rawResult: true }
+  );
+  const conversation = result.value;
+  const isNew = !result.lastErrorObject.updatedExisting;
+
+  const message = await addMessage(conversation, req.user, body);
+
+  res.status(isNew ? 201 : 200).json({
+    success: true,
+    data: { conversation: formatConversation(conversation, req.user._id), message },
+  });
+});
+
+// @desc Get my conversations
+exports.getMyConversations = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const query = { $or: [{ owner: req.user._id }, { tenant: req.user._id }] };
+
+  // Only conversations with unread messages
+  if (req.query.unread === "true") {
+    query.$or = [
+      { owner: req.user._id, ownerUnread: { $gt: 0 } },
+      { tenant: req.user._id, tenantUnread: { $gt: 0 } },
+    ];
+  }
+
+  const [conversations, total] = await Promise.all([
+    Conversation.find(query)
+      .populate("listing", "title coverImage status")
+      .populate("owner", PARTICIPANT_FIELDS)
+      .populate("tenant", PARTICIPANT_FIELDS)
+      .sort({ lastMessageAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit),
+    Conversation.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: conversations.length,
+    total,
+    pagination: { page, limit, pages: Math.ceil(total / limit) },
+    data: conversations.map((conversation) => formatConversation(conversation, req.user._id)),
+  });
+});
+
+// @desc Get my unread message count
+exports.getUnreadCount = asyncHandler(async (req, res) => {
+  const unread = await Conversation.getUnreadCount(req.user._id);
+
+  res.status(200).json({ success: true, data: unread });
+});
+
+// @desc Get a conversation
+exports.getConversation = asyncHandler(async (req, res, next) => {
+  const conversation = await findOwnConversation(req, next);
+  if (!conversation) return;
+
+  await conversation.populate([
+    { path: "listing", select: "title coverImage status rentPerMonth" },
+    { path: "owner", select: PARTICIPANT_FIELDS },
+    { path: "tenant", select: PARTICIPANT_FIELDS },
+  ]);
+
+  res.status(200).json({ success: true, data: formatConversation(conversation, req.user._id) });
+});
+
+// @desc Get messages of a conversation (newest first)
+exports.getMessages = asyncHandler(async (req, res, next) => {
+  const conversation = await findOwnConversation(req, next);
+  if (!conversation) return;
+
+  const { page, limit, skip } = parsePagination(req.query, { defaultLimit: 50 });
+  const query = { conversation: conversation._id };
+
+  const [messages, total] = await Promise.all([
+    Message.find(query).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit),
+    Message.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: messages.length,
+    total,
+    pagination: { page, limit, pages: Math.ceil(total / limit) },
+    data: messages,
+  });
+});
+
+// @desc Send a message in a conversation
+exports.sendMessage = asyncHandler(async (req, res, next) => {
+  const conversation = await findOwnConversation(req, next);
+  if (!conversation) return;
+
+  const other = await User.findById(conversation.otherParticipant(req.user._id));
+  if (!other) {
+    return next(new apiError("The other participant no longer exists", 404));
+  }
+
+  if (isBlockedBetween(req.user, other)) {
+    return next(new apiError("You cannot message this user", 403));
+  }
+
+  const message = await addMessage(conversation, req.user, req.body.body);
+
+  res.status(201).json({ success: true, data: message });
+});
+
+// @desc Mark all messages from the other participant as read
+exports.markConversationRead = asyncHandler(async (req, res, next) => {
+  const conversation = await findOwnConversation(req, next);
+  if (!conversation) return;
+
+  const result = await Message.updateMany(
+    { conversation: conversation._id, sender: { $ne: req.user._id }, readAt: { $exists: false } },
+    { $set: { readAt: new Date() } }
+  );
+
+  const unreadField = conversation.roleOf(req.user._id) === "owner" ? "ownerUnread" : "tenantUnread";
+  await Conversation.updateOne({ _id: conversation._id }, { $set: { [unreadField]: 0 } });
+
+  res.status(200).json({ success: true, data: { markedRead: result.modifiedCount } });
+});
@@ -1,7 +1,72 @@
 const Listing = require("../model/Listing");
 const User = require("../model/User");
+const Favorite = require("../model/Favorite");
 const asyncHandler = require("express-async-handler");
 const apiError = require("../utils/apiError");
+const {
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery,
+  buildLink,
+} = require("../utils/pagination");
+const {
+  parseGeoParams,
+  parseBoundingBox,
+  distanceKm,
+  roundDistance,
+} = require("../utils/geo");
+const { buildListingQuery, buildListingCountQuery } = require("../utils/listingQuery");
+const {
+  PUBLIC_LISTING_PROJECTION,
+  PUBLIC_AUTHOR_FIELDS,
+  applyContactPrivacy,
+} = require("../utils/listingPrivacy");
+const {
+  calculateExpirationDate,
+  getStatusChangeError,
+  publishListing,
+} = require("../utils/listingStatus");
+const {
+  MAX_IMAGES_PER_UPLOAD,
+  getImageLimit,
+  deleteListingImages,
+} = require("../utils/listingImages");
+const { MAX_IMAGE_SIZE_BYTES, imageFileFilter } = require("../utils/imageProcessing");
+const { queueSavedSearchAlerts } = require("../utils/savedSearchAlerts");
+const { sendToUser } = require("../utils/realtime");
+const { notifyInBackground } = require("../utils/notifications");
+const { queueEmailInBackground } = require("../utils/email");
+
+// Configuration for Multer
+const { listingImageStorage } = require("../config/storage");
+const multer = require("multer");
+
+// Days before expiresAt during which an owner can request a renewal
+const RENEWAL_WINDOW_DAYS = parseInt(process.env.LISTING_RENEWAL_WINDOW_DAYS) || 14;
+
+// Map markers are clustered on a grid of roughly this many pixels per cell
+const MAP_CLUSTER_CELL_PX = 60;
+
+// Zoom level from which every listing gets its own marker
+const MAP_MAX_CLUSTER_ZOOM = 17;
+
+// Most markers returned for one viewport; above this listings are clustered even from MAP_MAX_CLUSTER_ZOOM
+const MAP_MAX_MARKERS = parseInt(process.env.MAP_MAX_MARKERS) || 500;
+
+// Cursor value type of each sort field a listing cursor can point at
+const CURSOR_FIELD_TYPES = { createdAt: "date", rentPerMonth: "number", distance: "number" };
+
+// Helper function to check if a user may see a listing:
+// - Published listings: accessible to everyone (public)
+// - Non-published listings: only accessible to the author or admin
+const canViewListing = (listing, user) => {
+  if (listing.status === "published") return true;
+  if (!user) return false;
+
+  const authorId = (listing.author._id || listing.author).toString();
+  return user.role === "admin" || user._id.toString() === authorId;
+};
 
 // @desc Create Listing
 exports.createListing = asyncHandler(async (req, res) => {
@@ -42,59 +107,48 @@ exports.updateListing = asyncHandler(async (req, res, next) => {
     return next(new apiError(`Cannot edit published listings. Published listings cannot be modified.`, 403));
   }
 
+  // Update location sub-fields individually so a partial location keeps the rest
+  const { location, ...fields } = req.body;
+  const updates = { ...fields };
+  if (location) {
+    Object.entries(location).forEach(([key, value]) => {
+      updates[`location.${key}`] = value;
+    });
+  }
+
   const doc = await Listing.findOneAndUpdate(
     { _id: listing._id },
-    req.body,
-    { new: true }
+    { $set: updates },
+    { new: true, runValidators: true }
   );
 
   res.status(200).json({ success: true, data: doc });
 });
 
 // @desc Get List of Listings
-exports.allListings = asyncHandler(async (req, res) => {
-  const { sortBy, propertyType, district, city, minPrice, maxPrice, bedrooms, bathrooms, furnishing } = req.query;
-
-  // Build query
-  let query = {};
+exports.allListings = asyncHandler(async (req, res, next) => {
+  const { sortBy, cursor } = req.query;
 
-  // Only show published listings for public access (non-authenticated users)
-  // This allows all users to browse published properties without login
-  query.status = "published";
-
-  // Filter by property type
-  if (propertyType) {
-    query.propertyType = propertyType;
+  // Parse near me / radius search parameters
+  const geo = parseGeoParams(req.query);
+  if (geo.error) {
+    return next(new apiError(geo.error, 400));
   }
 
-  // Filter by location
-  if (district) {
-    query["location.district"] = district;
-  }
-  if (city) {
-    query["location.city"] = { $regex: city, $options: "i" };
-  }
-
-  // Filter by price range
-  if (minPrice || maxPrice) {
-    query.rentPerMonth = {};
-    if (minPrice) query.rentPerMonth.$gte = Number(minPrice);
-    if (maxPrice) query.rentPerMonth.$lte = Number(maxPrice);
-  }
+  // Build query
+  const { query, keywords } = buildListingQuery(req.query, geo);
 
-  // Filter by bedrooms
-  if (bedrooms) {
-    query.bedrooms = Number(bedrooms);
-  }
+  // Relevance is the default order for keyword searches
+  const isRelevanceSort = !!keywords && (sortBy === "relevance" || !sortBy);
+  const isDistanceSort = sortBy === "distance";
 
-  // Filter by bathrooms
-  if (bathrooms) {
-    query.bathrooms = Number(bathrooms);
+  if (isDistanceSort && !geo.point) {
+    return next(new apiError("Sorting by distance requires lat and lng", 400));
   }
 
-  // Filter by furnishing
-  if (furnishing) {
-    query.furnishing = furnishing;
+  // $geoNear and $text cannot be used in the same query
+  if (isDistanceSort && keywords) {
+    return next(new apiError("Sorting by distance cannot be combined with keyword search", 400));
   }
 
   // Build sort
@@ -103,34 +157,253 @@ exports.allListings = asyncHandler(async (req, res) => {
     sort.rentPerMonth = 1;
   } else if (sortBy === "price-high") {
     sort.rentPerMonth = -1;
+  } else if (isDistanceSort) {
+    sort.distance = 1; // Nearest first
+  } else if (isRelevanceSort) {
+    sort.relevance = { $meta: "textScore" };
   } else {
     sort.createdAt = -1; // Default: newest first
   }
 
-  const listings = await Listing.find(query)
-    .populate({
+  const { page, limit, skip } = parsePagination(req.query);
+
+  // Cursor mode is enabled by passing a cursor parameter (empty for the first page)
+  const isCursorMode = cursor !== undefined;
+  let decodedCursor = null;
+
+  if (isCursorMode && isRelevanceSort) {
+    return next(new apiError("Cursor pagination is not available for relevance sort. Use page instead", 400));
+  }
+
+  if (isCursorMode && cursor !== "") {
+    decodedCursor = decodeCursor(cursor, CURSOR_FIELD_TYPES);
+    if (!decodedCursor || decodedCursor.field !== Object.keys(sort)[0]) {
+      return next(new apiError("Invalid cursor for the selected sort order", 400));
+    }
+  }
+
+  // Ties on the sort field are broken by _id so pages stay stable
+  let pageSort;
+  let cursorCondition = null;
+
+  if (isRelevanceSort) {
+    pageSort = { relevance: { $meta: "textScore" }, _id: -1 };
+  } else {
+    const cursorQuery = buildCursorQuery(sort, decodedCursor);
+    pageSort = cursorQuery.sort;
+    cursorCondition = cursorQuery.condition;
+  }
+
+  // Fetch one extra document in cursor mode to know if there is another page
+  const fetchLimit = isCursorMode ? limit + 1 : limit;
+  const fetchSkip = isCursorMode ? 0 : skip;
+
+  let results;
+
+  if (isDistanceSort) {
+    // $geoNear must be the first stage; maxDistance replaces the $geoWithin filter
+    const nearQuery = { ...query };
+    delete nearQuery["location.geo"];
+
+    const pipeline = [
+      {
+        $geoNear: {
+          near: geo.point,
+          distanceField: "distance",
+          distanceMultiplier: 0.001, // Metres to kilometres
+          spherical: true,
+          query: nearQuery,
+          ...(geo.radiusKm && { maxDistance: geo.radiusKm * 1000 }),
+        },
+      },
+    ];
+
+    if (cursorCondition) pipeline.push({ $match: cursorCondition });
+    pipeline.push(
+      { $sort: pageSort },
+      { $skip: fetchSkip },
+      { $limit: fetchLimit },
+      { $project: PUBLIC_LISTING_PROJECTION }
+    );
+
+    results = await Listing.aggregate(pipeline);
+    await Listing.populate(results, {
       path: "author",
-      select: "firstname lastname email phone",
+      select: PUBLIC_AUTHOR_FIELDS,
       options: { virtuals: false }
-    })
-    .sort(sort)
-    .lean();
+    });
+  } else {
+    const findQuery = cursorCondition ? { ...query, $and: [cursorCondition] } : query;
+
+    // Include the text score as relevance in each result
+    const projection = keywords
+      ? { ...PUBLIC_LISTING_PROJECTION, relevance: { $meta: "textScore" } }
+      : PUBLIC_LISTING_PROJECTION;
+
+    results = await Listing.find(findQuery, projection)
+      .populate({
+        path: "author",
+        select: PUBLIC_AUTHOR_FIELDS,
+        options: { virtuals: false }
+      })
+      .sort(pageSort)
+      .skip(fetchSkip)
+      .limit(fetchLimit)
+      .lean();
+  }
+
+  const total = await Listing.countDocuments(
+    buildListingCountQuery(query, { distanceSort: isDistanceSort })
+  );
+
+  let listings = results;
+  const links = { next: null, prev: null };
+  let pagination;
+
+  if (isCursorMode) {
+    const hasMore = listings.length > limit;
+    listings = listings.slice(0, limit);
+
+    const backwards = decodedCursor && decodedCursor.direction === "prev";
+    if (backwards) listings.reverse();
+
+    const hasNext = backwards ? true : hasMore;
+    const hasPrev = backwards ? hasMore : !!decodedCursor;
+    const sortField = Object.keys(sort)[0];
+
+    const nextCursor = hasNext && listings.length > 0
+      ? encodeCursor(listings[listings.length - 1], sortField, "next")
+      : null;
+    const prevCursor = hasPrev && listings.length > 0
+      ? encodeCursor(listings[0], sortField, "prev")
+      : null;
+
+    if (nextCursor) links.next = buildLink(req, { cursor: nextCursor, page: null });
+    if (prevCursor) links.prev = buildLink(req, { cursor: prevCursor, page: null });
+
+    pagination = { limit, nextCursor, prevCursor };
+  } else {
+    const totalPages = Math.ceil(total / limit);
+
+    if (page < totalPages) links.next = buildLink(req, { page: page + 1, limit });
+    if (page > 1) links.prev = buildLink(req, { page: Math.min(page - 1, totalPages || 1), limit });
+
+    pagination = { page, limit, totalPages };
+  }
 
-  // Ensure listingDuration has a default value for listings that don't have it
   listings.forEach(listing => {
+    // Ensure listingDuration has a default value for listings that don't have it
     if (!listing.listingDuration) {
       listing.listingDuration = 3; // Default to 3 months
     }
+
+    applyContactPrivacy(listing, req.user);
+
+    // Distance in km from the searched point (computed after cursors are encoded)
+    if (geo.point) {
+      if (typeof listing.distance === "number") {
+        listing.distance = roundDistance(listing.distance);
+      } else if (listing.location && listing.location.geo) {
+        listing.distance = roundDistance(distanceKm(geo.point, listing.location.geo));
+      } else {
+        listing.distance = null;
+      }
+    }
   });
 
   res.status(200).json({
     success: true,
     count: listings.length,
-    total: listings.length,
+    total,
+    pagination,
+    links,
     data: listings
   });
 });
 
+// @desc Get clustered listing markers for a map viewport
+exports.listingsMap = asyncHandler(async (req, res, next) => {
+  const box = parseBoundingBox(req.query.bbox);
+  if (box.error) {
+    return next(new apiError(box.error, 400));
+  }
+
+  const zoom = Number(req.query.zoom);
+  if (!Number.isInteger(zoom) || zoom < 0 || zoom > 22) {
+    return next(new apiError("zoom must be a whole number between 0 and 22", 400));
+  }
+
+  // Same filters as public browse, restricted to the viewport
+  const { query } = buildListingQuery(req.query);
+  query["location.geo"] = { $geoWithin: { $geometry: box.geometry } };
+
+  // Individual markers only while the viewport holds few enough listings for them
+  let clusterZoom = zoom;
+  if (zoom >= MAP_MAX_CLUSTER_ZOOM) {
+    const listingCount = await Listing.countDocuments(query);
+    if (listingCount > MAP_MAX_MARKERS) clusterZoom = MAP_MAX_CLUSTER_ZOOM - 1;
+  }
+
+  // Grid cell size in degrees for 256px web mercator tiles, anchored to the world grid
+  // so clusters stay put while the map is panned
+  const cellSize = clusterZoom >= MAP_MAX_CLUSTER_ZOOM
+    ? 0
+    : (360 / Math.pow(2, clusterZoom)) * (MAP_CLUSTER_CELL_PX / 256);
+
+  const lng = { $arrayElemAt: ["$location.geo.coordinates", 0] };
+  const lat = { $arrayElemAt: ["$location.geo.coordinates", 1] };
+
+  const cellKey = cellSize
+    ? {
+        x: { $floor: { $divide: [{ $add: [lng, 180] }, cellSize] } },
+        y: { $floor: { $divide: [{ $add: [lat, 90] }, cellSize] } },
+      }
+    : "$_id";
+
+  const [result] = await Listing.aggregate([
+    { $match: query },
+    {
+      $group: {
+        _id: cellKey,
+        count: { $sum: 1 },
+        lng: { $avg: lng },
+        lat: { $avg: lat },
+        minRentPerMonth: { $min: "$rentPerMonth" },
+        maxRentPerMonth: { $max: "$rentPerMonth" },
+        listingId: { $first: "$_id" },
+      },
+    },
+    {
+      $facet: {
+        // A very large viewport can still have more cells than that, so keep the biggest clusters
+        clusters: [{ $sort: { count: -1, _id: 1 } }, { $limit: MAP_MAX_MARKERS }],
+        totals: [{ $group: { _id: null, markers: { $sum: 1 }, listings: { $sum: "$count" } } }],
+      },
+    },
+  ]);
+
+  const totals = result.totals[0] || { markers: 0, listings: 0 };
+
+  const markers = result.clusters.map((cluster) => ({
+    count: cluster.count,
+    centroid: { lat: cluster.lat, lng: cluster.lng },
+    minRentPerMonth: cluster.minRentPerMonth,
+    maxRentPerMonth: cluster.maxRentPerMonth,
+    // Single-listing markers link straight to the listing
+    listingId: cluster.count === 1 ? cluster.listingId : null,
+  }));
+
+  res.status(200).json({
+    success: true,
+    zoom,
+    clustered: cellSize > 0,
+    count: markers.length,
+    total: totals.listings,
+    truncated: totals.markers > markers.length,
+    data: markers,
+  });
+});
+
 // @desc Get a single listing
 exports.getListing = asyncHandler(async (req, res, next) => {
   const listing = await Listing.findById(req.params.id)
@@ -145,37 +418,11 @@ exports.getListing = asyncHandler(async (req, res, next) => {
     return next(new apiError(`No listing found for id ${req.params.id}`, 404));
   }
 
-  // Access control:
-  // - Published listings: accessible to everyone (public)
-  // - Non-published listings: only accessible to the author or admin
-  if (listing.status !== "published") {
-    // Check if user is authenticated
-    if (!req.user) {
-      return next(new apiError(`No listing found for id ${req.params.id}`, 404));
-    }
-
-    // Check if user is the author or admin
-    const isAuthor = req.user._id.toString() === listing.author._id.toString();
-    const isAdmin = req.user.role === "admin";
-
-    if (!isAuthor && !isAdmin) {
-      return next(new apiError(`No listing found for id ${req.params.id}`, 404));
-    }
+  if (!canViewListing(listing, req.user)) {
+    return next(new apiError(`No listing found for id ${req.params.id}`, 404));
   }
 
-  // Log for debugging - show all contact information
-  console.log("=== Listing Contact Information ===");
-  console.log("Listing ID:", listing._id);
-  console.log("Status:", listing.status);
-  console.log("Contact Phone (Listing):", listing.contactPhone);
-  console.log("Contact Phone Secondary (Listing):", listing.contactPhoneSecondary);
-  console.log("Author Info:", {
-    id: listing.author._id,
-    name: `${listing.author.firstname} ${listing.author.lastname}`,
-    email: listing.author.email,
-    phone: listing.author.phone
-  });
-  console.log("===================================");
+  applyContactPrivacy(listing, req.user);
 
   // Ensure listingDuration has a default value if not set
   if (!listing.listingDuration) {
@@ -201,6 +448,12 @@ exports.deleteListing = asyncHandler(async (req, res, next) => {
 
   await Listing.findByIdAndDelete(id);
 
+  // Remove uploaded images from storage
+  await deleteListingImages(listing);
+
+  // Remove the listing from users' favorites
+  await Favorite.deleteMany({ listing: listing._id });
+
   // Remove from user's posts
   await User.findByIdAndUpdate(
     req.user._id,
@@ -239,37 +492,380 @@ exports.updateListingStatus = asyncHandler(async (req, res, next) => {
     return next(new apiError(`No listing found for id ${id}`, 404));
   }
 
-  listing.status = status;
+  const statusError = getStatusChangeError(listing, status);
+  if (statusError) {
+    return next(new apiError(statusError, 400));
+  }
 
   // When approving a listing, calculate and set the expiration date
   if (status === "published") {
-    const durationInMonths = listing.listingDuration || 3; // Default to 3 months
-
-    // Use UTC to avoid timezone issues and properly handle month boundaries
-    const now = new Date();
-    const expirationDate = new Date(
-      now.getFullYear(),
-      now.getMonth() + durationInMonths,
-      now.getDate(),
-      0, 0, 0, 0 // Set to midnight local time
+    publishListing(listing, req.user._id);
+  } else {
+    listing.status = status;
+  }
+
+  if (status === "rejected" && rejectionReason) {
+    listing.rejectionReason = rejectionReason;
+  }
+
+  await listing.save();
+
+  // Push the status change to the owner's open streams
+  sendToUser(listing.author, "listing_status", {
+    listingId: listing._id,
+    title: listing.title,
+    status: listing.status,
+    rejectionReason: listing.rejectionReason,
+    expiresAt: listing.expiresAt,
+  });
+
+  // Email the owner about the decision
+  const owner = await User.findById(listing.author, { firstname: 1, email: 1 });
+  if (owner && (status === "published" || status === "rejected")) {
+    queueEmailInBackground(owner.email, status === "published" ? "listing_approved" : "listing_rejected", {
+      firstname: owner.firstname,
+      listingId: listing._id,
+      title: listing.title,
+      expiresAt: listing.expiresAt,
+      rejectionReason: listing.rejectionReason,
+    });
+  }
+
+  if (status === "published") {
+    notifyInBackground(listing.author, "listing_approved", {
+      title: "Your listing was approved",
+      message: `"${listing.title}" is now published until ${listing.expiresAt.toDateString()}`,
+      data: { listingId: listing._id, expiresAt: listing.expiresAt },
+    });
+  } else if (status === "rejected") {
+    notifyInBackground(listing.author, "listing_rejected", {
+      title: "Your listing was rejected",
+      message: listing.rejectionReason
+        ? `"${listing.title}" was rejected: ${listing.rejectionReason}`
+        : `"${listing.title}" was rejected`,
+      data: { listingId: listing._id, rejectionReason: listing.rejectionReason },
+    });
+  }
+
+  // Notify users whose saved searches match; failures must not fail the moderation request
+  if (status === "published") {
+    queueSavedSearchAlerts(listing).catch((error) =>
+      console.error("Saved search alerts failed:", error.message)
+    );
+  }
+
+  res.status(200).json({ success: true, data: listing });
+});
+
+// @desc Check ownership and remaining image slots before uploading (Owner)
+exports.prepareListingImageUpload = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const listing = await Listing.findById(id);
+
+  if (!listing) {
+    return next(new apiError(`No listing found for id ${id}`, 404));
+  }
+
+  // Check if the listing belongs to user
+  if (listing.author.toString() !== req.user._id.toString()) {
+    return next(new apiError(`You are not allowed to update this listing`, 403));
+  }
+
+  // New images on published listings would skip moderation
+  if (listing.status === "published") {
+    return next(new apiError(`Cannot add images to published listings`, 403));
+  }
+
+  const imageLimit = getImageLimit(req.user);
+  const remaining = imageLimit - listing.images.length;
+
+  if (remaining <= 0) {
+    return next(
+      new apiError(`Your ${req.user.plan} plan allows up to ${imageLimit} images per listing`, 400)
+    );
+  }
+
+  req.listing = listing;
+  req.imageSlots = Math.min(remaining, MAX_IMAGES_PER_UPLOAD);
+  next();
+});
+
+// @desc Upload listing images to storage (multipart field "images")
+exports.uploadListingImages = (req, res, next) => {
+  const upload = multer({
+    storage: listingImageStorage,
+    limits: { files: req.imageSlots, fileSize: MAX_IMAGE_SIZE_BYTES },
+    fileFilter: imageFileFilter,
+  }).array("images", req.imageSlots);
+
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE") {
+        return next(new apiError(`You can upload at most ${req.imageSlots} more image(s) to this listing`, 400));
+      }
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return next(new apiError(`Each image must be at most ${MAX_IMAGE_SIZE_BYTES / 1024 / 1024}MB`, 400));
+      }
+      return next(new apiError(err.message, 400));
+    }
+    next(err);
+  });
+};
+
+// @desc Add uploaded images to listing (Owner)
+exports.addListingImages = asyncHandler(async (req, res, next) => {
+  const { listing } = req;
+
+  if (!req.files || req.files.length === 0) {
+    return next(new apiError("Please upload at least one image", 400));
+  }
+
+  req.files.forEach((file) => {
+    listing.images.push(file.image);
+  });
+
+  if (!listing.coverImage) {
+    listing.coverImage = listing.images[0].url;
+  }
+
+  await listing.save();
+
+  res.status(201).json({ success: true, data: listing });
+});
+
+// @desc Reorder listing images (Owner)
+exports.reorderListingImages = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { images } = req.body;
+
+  const listing = await Listing.findById(id);
+  if (!listing) {
+    return next(new apiError(`No listing found for id ${id}`, 404));
+  }
+
+  // Check if the listing belongs to user
+  if (listing.author.toString() !== req.user._id.toString()) {
+    return next(new apiError(`You are not allowed to update this listing`, 403));
+  }
+
+  // The new order must contain exactly the listing's current image urls
+  const current = listing.images.map((image) => image.url).sort();
+  const proposed = Array.isArray(images) ? [...images].sort() : [];
+  const isSameSet =
+    current.length === proposed.length &&
+    current.every((url, index) => url === proposed[index]);
+
+  if (!isSameSet) {
+    return next(new apiError("images must contain each of the listing's image urls exactly once", 400));
+  }
+
+  listing.images = images.map((url) => listing.images.find((image) => image.url === url));
+  await listing.save();
+
+  res.status(200).json({ success: true, data: listing });
+});
+
+// @desc Set listing cover image (Owner)
+exports.setListingCoverImage = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { image } = req.body;
+
+  const listing = await Listing.findById(id);
+  if (!listing) {
+    return next(new apiError(`No listing found for id ${id}`, 404));
+  }
+
+  // Check if the listing belongs to user
+  if (listing.author.toString() !== req.user._id.toString()) {
+    return next(new apiError(`You are not allowed to update this listing`, 403));
+  }
+
+  if (!listing.images.some((item) => item.url === image)) {
+    return next(new apiError("Image not found on this listing", 404));
+  }
+
+  listing.coverImage = image;
+  await listing.save();
+
+  res.status(200).json({ success: true, data: listing });
+});
+
+// @desc Delete a listing image (Owner)
+exports.deleteListingImage = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { image } = req.body;
+
+  const listing = await Listing.findById(id);
+  if (!listing) {
+    return next(new apiError(`No listing found for id ${id}`, 404));
+  }
+
+  // Check if the listing belongs to user
+  if (listing.author.toString() !== req.user._id.toString()) {
+    return next(new apiError(`You are not allowed to update this listing`, 403));
+  }
+
+  const removed = listing.images.find((item) => item.url === image);
+  if (!removed) {
+    return next(new apiError("Image not found on this listing", 404));
+  }
+
+  listing.images = listing.images.filter((item) => item.url !== image);
+
+  // Fall back to the first remaining image as cover
+  if (listing.coverImage === image) {
+    listing.coverImage = listing.images.length > 0 ? listing.images[0].url : undefined;
+  }
+
+  await listing.save();
+
+  // Remove the image from storage
+  await deleteListingImages({ images: [removed] });
+
+  res.status(200).json({ success: true, data: listing });
+});
+
+// @desc Request listing renewal (Owner)
+exports.requestRenewal = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const months = Number(req.body.months);
+
+  if (!Number.isInteger(months) || months < 1 || months > 12) {
+    return next(new apiError("Renewal months must be a whole number between 1 and 12", 400));
+  }
+
+  const listing = await Listing.findById(id);
+  if (!listing) {
+    return next(new apiError(`No listing found for id ${id}`, 404));
+  }
+
+  // Check if the listing belongs to user
+  if (listing.author.toString() !== req.user._id.toString()) {
+    return next(new apiError(`You are not allowed to renew this listing`, 403));
+  }
+
+  // Only expired listings or published listings close to expiring can be renewed
+  if (listing.status === "published" && listing.expiresAt) {
+    const windowStart = new Date(
+      listing.expiresAt.getTime() - RENEWAL_WINDOW_DAYS * 24 * 60 * 60 * 1000
     );
+    if (new Date() < windowStart) {
+      return next(
+        new apiError(
+          `Renewal can only be requested within ${RENEWAL_WINDOW_DAYS} days of expiry`,
+          400
+        )
+      );
+    }
+  } else if (!["published", "expired"].includes(listing.status)) {
+    return next(new apiError("Only published or expired listings can be renewed", 400));
+  }
+
+  if (listing.renewalRequest && listing.renewalRequest.status === "pending") {
+    return next(new apiError("A renewal request is already pending for this listing", 400));
+  }
+
+  listing.renewalRequest = {
+    months,
+    status: "pending",
+    requestedAt: new Date(),
+  };
 
-    // Handle month boundary edge cases (e.g., Jan 31 + 1 month = Feb 28/29, not Mar 3)
-    // If the day rolled over to next month, set to last day of target month
-    if (expirationDate.getDate() !== now.getDate()) {
-      expirationDate.setDate(0); // Go back to last day of previous month
+  await listing.save();
+
+  res.status(200).json({ success: true, data: listing });
+});
+
+// @desc Cancel pending listing renewal (Owner)
+exports.cancelRenewal = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  const listing = await Listing.findById(id);
+  if (!listing) {
+    return next(new apiError(`No listing found for id ${id}`, 404));
+  }
+
+  // Check if the listing belongs to user
+  if (listing.author.toString() !== req.user._id.toString()) {
+    return next(new apiError(`You are not allowed to update this listing`, 403));
+  }
+
+  if (!listing.renewalRequest || listing.renewalRequest.status !== "pending") {
+    return next(new apiError("No pending renewal request for this listing", 400));
+  }
+
+  listing.renewalRequest = undefined;
+  await listing.save();
+
+  res.status(200).json({ success: true, message: "Renewal request cancelled", data: listing });
+});
+
+// @desc Approve or reject listing renewal (Admin only)
+exports.updateRenewalStatus = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { status, rejectionReason } = req.body;
+
+  if (!["approved", "rejected"].includes(status)) {
+    return next(new apiError("Renewal status must be either approved or rejected", 400));
+  }
+
+  const listing = await Listing.findById(id);
+  if (!listing) {
+    return next(new apiError(`No listing found for id ${id}`, 404));
+  }
+
+  if (!listing.renewalRequest || listing.renewalRequest.status !== "pending") {
+    return next(new apiError("No pending renewal request for this listing", 400));
+  }
+
+  const now = new Date();
+
+  if (status === "approved") {
+    const { months } = listing.renewalRequest;
+
+    // Extend from the current expiry if still running, otherwise start a new period now
+    const isRunning = listing.status === "published" && listing.expiresAt > now;
+    const startsAt = isRunning ? listing.expiresAt : now;
+    const expirationDate = calculateExpirationDate(startsAt, months);
+
+    if (!isRunning) {
+      listing.status = "published";
+      listing.publishedAt = now;
+      listing.expiredAt = undefined;
     }
 
     listing.expiresAt = expirationDate;
-    listing.isAvailable = true; // Mark listing as available when published
+    listing.expiryReminderSentAt = undefined;
+    listing.isAvailable = true;
+
+    // Record the publish period
+    listing.publishHistory.push({
+      type: "renewal",
+      months,
+      startsAt,
+      expiresAt: expirationDate,
+      approvedBy: req.user._id,
+    });
   }
 
+  listing.renewalRequest.status = status;
+  listing.renewalRequest.reviewedAt = now;
   if (status === "rejected" && rejectionReason) {
-    listing.rejectionReason = rejectionReason;
+    listing.renewalRequest.rejectionReason = rejectionReason;
   }
 
   await listing.save();
 
+  // Push the renewal decision to the owner's open streams
+  sendToUser(listing.author, "listing_status", {
+    listingId: listing._id,
+    title: listing.title,
+    status: listing.status,
+    expiresAt: listing.expiresAt,
+    renewalStatus: status,
+    rejectionReason: listing.renewalRequest.rejectionReason,
+  });
+
   res.status(200).json({ success: true, data: listing });
 });
 
@@ -284,6 +880,11 @@ exports.toggleLikeListing = asyncHandler(async (req, res, next) => {
 
   const userLiked = listing.likes.includes(req.user._id);
 
+  // Listings the user can't see can only be unliked
+  if (!userLiked && !canViewListing(listing, req.user)) {
+    return next(new apiError(`No listing found for id ${id}`, 404));
+  }
+
   if (userLiked) {
     // Unlike
     listing.likes = listing.likes.filter(
@@ -296,9 +897,105 @@ exports.toggleLikeListing = asyncHandler(async (req, res, next) => {
 
   await listing.save();
 
+  // Keep the user's favorites in sync with likes
+  if (userLiked) {
+    await Favorite.deleteOne({ user: req.user._id, listing: listing._id });
+  } else {
+    await Favorite.saveListing(req.user._id, listing);
+  }
+
   res.status(200).json({ success: true, liked: !userLiked });
 });
 
+// @desc Get my favorite (liked) listings
+exports.getFavorites = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+
+  const query = { user: req.user._id };
+  if (typeof req.query.collection === "string" && req.query.collection.trim()) {
+    query.collectionName = req.query.collection.trim();
+  }
+
+  // Remove favorites whose listing no longer exists before paging, so total matches what is listed
+  const listingIds = await Favorite.distinct("listing", query);
+  const existingListingIds = await Listing.distinct("_id", { _id: { $in: listingIds } });
+  if (existingListingIds.length < listingIds.length) {
+    await Favorite.deleteMany({ ...query, listing: { $nin: existingListingIds } });
+  }
+
+  const [favorites, total] = await Promise.all([
+    Favorite.find(query)
+      .populate(
+        "listing",
+        "title propertyType location rentPerMonth coverImage images status isAvailable expiresAt"
+      )
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit),
+    Favorite.countDocuments(query),
+  ]);
+
+  // A listing can still be deleted while this request runs
+  const data = favorites
+    .filter((favorite) => favorite.listing)
+    .map((favorite) => ({
+      _id: favorite._id,
+      listing: favorite.listing,
+      collectionName: favorite.collectionName,
+      note: favorite.note,
+      savedPrice: favorite.savedPrice,
+      savedAt: favorite.createdAt,
+      changes: favorite.getChanges(),
+    }));
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    total,
+    pagination: { page, limit, pages: Math.ceil(total / limit) },
+    data,
+  });
+});
+
+// @desc Get my favorite collections with counts
+exports.getFavoriteCollections = asyncHandler(async (req, res) => {
+  const collections = await Favorite.aggregate([
+    { $match: { user: req.user._id, collectionName: { $nin: [null, ""] } } },
+    { $group: { _id: "$collectionName", count: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, name: "$_id", count: 1 } },
+  ]);
+
+  res.status(200).json({ success: true, count: collections.length, data: collections });
+});
+
+// @desc Save a listing to favorites with an optional collection and note
+exports.updateFavorite = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const listing = await Listing.findById(id);
+
+  if (!listing || !canViewListing(listing, req.user)) {
+    return next(new apiError(`No listing found for id ${id}`, 404));
+  }
+
+  // Saving a listing likes it
+  if (!listing.likes.some((userId) => userId.toString() === req.user._id.toString())) {
+    listing.likes.push(req.user._id);
+    await listing.save();
+  }
+
+  const favorite = await Favorite.saveListing(req.user._id, listing);
+  const { collectionName, note } = req.body;
+
+  // An empty value (sent as "" or null) is unset
+  if (collectionName !== undefined) favorite.collectionName = collectionName || undefined;
+  if (note !== undefined) favorite.note = note || undefined;
+
+  await favorite.save();
+
+  res.status(200).json({ success: true, data: favorite });
+});
+
 // @desc Track view
 exports.trackView = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
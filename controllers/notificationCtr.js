@@ -0,0 +1,91 @@
+const Notification = require("../model/Notification");
+const asyncHandler = require("express-async-handler");
+const apiError = require("../utils/apiError");
+const { parsePagination } = require("../utils/pagination");
+const { getNotificationPreferences } = require("../utils/notifications");
+
+// @desc Get my notifications (newest first)
+exports.getMyNotifications = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+
+  const query = { user: req.user._id };
+  if (req.query.unread === "true") {
+    query.readAt = { $exists: false };
+  }
+  if (req.query.type) {
+    query.type = String(req.query.type);
+  }
+
+  const [notifications, total] = await Promise.all([
+    Notification.find(query).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit),
+    Notification.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: notifications.length,
+    total,
+    pagination: { page, limit, pages: Math.ceil(total / limit) },
+    data: notifications,
+  });
+});
+
+// @desc Get my unread notification count
+exports.getUnreadNotificationCount = asyncHandler(async (req, res) => {
+  const unread = await Notification.countDocuments({
+    user: req.user._id,
+    readAt: { $exists: false },
+  });
+
+  res.status(200).json({ success: true, data: { unread } });
+});
+
+// @desc Mark a notification as read
+exports.markNotificationRead = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const notification = await Notification.findOne({ _id: id, user: req.user._id });
+
+  if (!notification) {
+    return next(new apiError(`No notification found for id ${id}`, 404));
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  res.status(200).json({ success: true, data: notification });
+});
+
+// @desc Mark all my notifications as read
+exports.markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { user: req.user._id, readAt: { $exists: false } },
+    { $set: { readAt: new Date() } }
+  );
+
+  res.status(200).json({ success: true, data: { markedRead: result.modifiedCount } });
+});
+
+// @desc Get my notification preferences
+exports.getNotificationPreferences = asyncHandler(async (req, res) => {
+  res.status(200).json({ success: true, data: getNotificationPreferences(req.user) });
+});
+
+// @desc Update my notification preferences (only the given types and channels change)
+exports.updateNotificationPreferences = asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  Object.entries(req.body.preferences).forEach(([type, channels]) => {
+    const current = user.notificationPreferences.get(type) || {};
+    user.notificationPreferences.set(type, {
+      inApp: current.inApp,
+      realtime: current.realtime,
+      ...channels,
+    });
+  });
+
+  await user.save();
+
+  res.status(200).json({ success: true, data: getNotificationPreferences(user) });
+});
@@ -0,0 +1,15 @@
+const asyncHandler = require("express-async-handler");
+const apiError = require("../utils/apiError");
+const { verifyToken } = require("../utils/generateToken");
+const { openStream } = require("../utils/realtime");
+
+// @desc Open a Server-Sent Events stream for the current session
+exports.streamEvents = asyncHandler(async (req, res, next) => {
+  // Streams are tied to a session so they can be closed when it ends
+  if (!req.session) {
+    return next(new apiError("No active session found. Please login again", 401));
+  }
+
+  const decoded = verifyToken(req.token, "access");
+  openStream(req, res, new Date(decoded.exp * 1000));
+});
@@ -2,6 +2,8 @@ const Review = require("../model/Review");
 const Listing = require("../model/Listing");
 const asyncHandler = require("express-async-handler");
 const apiError = require("../utils/apiError");
+const { sendToUser } = require("../utils/realtime");
+const { notifyInBackground } = require("../utils/notifications");
 
 // @desc Create Review
 exports.createReview = asyncHandler(async (req, res, next) => {
@@ -34,6 +36,19 @@ exports.createReview = asyncHandler(async (req, res, next) => {
   // Populate user details
   await review.populate("userId", "firstname lastname image");
 
+  // Push the new review to the listing owner's open streams
+  sendToUser(listing.author, "review", {
+    listingId: listing._id,
+    title: listing.title,
+    review,
+  });
+
+  notifyInBackground(listing.author, "new_review", {
+    title: "New review on your listing",
+    message: `${req.user.firstname} ${req.user.lastname} rated "${listing.title}" ${rating}/5`,
+    data: { listingId: listing._id, reviewId: review._id, rating },
+  });
+
   res.status(201).json({
     success: true,
     message: "Review created successfully",
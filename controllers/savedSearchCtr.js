@@ -0,0 +1,172 @@
+const SavedSearch = require("../model/SavedSearch");
+const Listing = require("../model/Listing");
+const asyncHandler = require("express-async-handler");
+const apiError = require("../utils/apiError");
+const { parsePagination } = require("../utils/pagination");
+const { buildListingQuery } = require("../utils/listingQuery");
+const {
+  PUBLIC_LISTING_PROJECTION,
+  PUBLIC_AUTHOR_FIELDS,
+  applyContactPrivacy,
+} = require("../utils/listingPrivacy");
+
+// Maximum number of saved searches per user
+const MAX_SAVED_SEARCHES = parseInt(process.env.MAX_SAVED_SEARCHES) || 20;
+
+// Helper function to load a saved search owned by the current user
+const findOwnSavedSearch = async (req, next) => {
+  const { id } = req.params;
+  const savedSearch = await SavedSearch.findOne({ _id: id, user: req.user._id });
+
+  if (!savedSearch) {
+    next(new apiError(`No saved search found for id ${id}`, 404));
+    return null;
+  }
+
+  return savedSearch;
+};
+
+// @desc Create Saved Search
+exports.createSavedSearch = asyncHandler(async (req, res, next) => {
+  const count = await SavedSearch.countDocuments({ user: req.user._id });
+  if (count >= MAX_SAVED_SEARCHES) {
+    return next(new apiError(`You can save up to ${MAX_SAVED_SEARCHES} searches`, 400));
+  }
+
+  const savedSearch = await SavedSearch.create({
+    user: req.user._id,
+    name: req.body.name,
+    filters: req.body.filters || {},
+    alertsEnabled: req.body.alertsEnabled,
+  });
+
+  res.status(201).json({ success: true, data: savedSearch });
+});
+
+// @desc Get My Saved Searches
+exports.getMySavedSearches = asyncHandler(async (req, res) => {
+  const savedSearches = await SavedSearch.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: savedSearches.length,
+    data: savedSearches,
+  });
+});
+
+// @desc Get Saved Search
+exports.getSavedSearch = asyncHandler(async (req, res, next) => {
+  const savedSearch = await findOwnSavedSearch(req, next);
+  if (!savedSearch) return;
+
+  res.status(200).json({ success: true, data: savedSearch });
+});
+
+// @desc Update Saved Search
+exports.updateSavedSearch = asyncHandler(async (req, res, next) => {
+  const savedSearch = await findOwnSavedSearch(req, next);
+  if (!savedSearch) return;
+
+  const { name, filters, alertsEnabled } = req.body;
+
+  if (name !== undefined) savedSearch.name = name;
+  if (alertsEnabled !== undefined) savedSearch.alertsEnabled = alertsEnabled;
+
+  // The filter set is replaced as a whole
+  if (filters !== undefined) savedSearch.filters = filters || {};
+
+  await savedSearch.save();
+
+  res.status(200).json({ success: true, data: savedSearch });
+});
+
+// @desc Delete Saved Search
+exports.deleteSavedSearch = asyncHandler(async (req, res, next) => {
+  const savedSearch = await findOwnSavedSearch(req, next);
+  if (!savedSearch) return;
+
+  await savedSearch.deleteOne();
+
+  res.status(200).json({ success: true, message: "Saved search deleted successfully" });
+});
+
+// @desc Get Saved Search Results
+exports.getSavedSearchResults = asyncHandler(async (req, res, next) => {
+  const savedSearch = await findOwnSavedSearch(req, next);
+  if (!savedSearch) return;
+
+  const { page, limit, skip } = parsePagination(req.query);
+  const { query } = buildListingQuery(savedSearch.toObject().filters);
+
+  const [listings, total] = await Promise.all([
+    Listing.find(query, PUBLIC_LISTING_PROJECTION)
+      .populate("author", PUBLIC_AUTHOR_FIELDS)
+      .sort({ publishedAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Listing.countDocuments(query),
+  ]);
+
+  listings.forEach((listing) => applyContactPrivacy(listing, req.user));
+
+  res.status(200).json({
+    success: true,
+    count: listings.length,
+    total,
+    pagination: { page, limit, pages: Math.ceil(total / limit) },
+    data: listings,
+  });
+});
+
+// @desc Get Listings Published Since The Saved Search Was Last Checked
+exports.getNewSavedSearchResults = asyncHandler(async (req, res, next) => {
+  const savedSearch = await findOwnSavedSearch(req, next);
+  if (!savedSearch) return;
+
+  const { limit } = parsePagination(req.query);
+  const now = new Date();
+  const since = savedSearch.lastCheckedAt;
+  const lastListingId = savedSearch.lastCheckedListingId;
+
+  const { query } = buildListingQuery(savedSearch.toObject().filters, { now });
+  query.publishedAt = { $lte: now };
+
+  // Continue after the last returned listing, in the same order as the sort below
+  query.$and = [
+    lastListingId
+      ? { $or: [{ publishedAt: { $gt: since } }, { publishedAt: since, _id: { $gt: lastListingId } }] }
+      : { publishedAt: { $gt: since } },
+  ];
+
+  // Oldest first so a cut off page can be continued by the next call
+  const [listings, total] = await Promise.all([
+    Listing.find(query, PUBLIC_LISTING_PROJECTION)
+      .populate("author", PUBLIC_AUTHOR_FIELDS)
+      .sort({ publishedAt: 1, _id: 1 })
+      .limit(limit)
+      .lean(),
+    Listing.countDocuments(query),
+  ]);
+
+  listings.forEach((listing) => applyContactPrivacy(listing, req.user));
+
+  // Only move past what was returned; the rest is returned next time
+  const hasMore = total > listings.length;
+  const lastListing = listings[listings.length - 1];
+  const checkedAt = hasMore ? lastListing.publishedAt : now;
+
+  savedSearch.lastCheckedAt = checkedAt;
+  savedSearch.lastCheckedListingId = hasMore ? lastListing._id : undefined;
+  await savedSearch.save();
+
+  res.status(200).json({
+    success: true,
+    since,
+    checkedAt,
+    count: listings.length,
+    total,
+    hasMore,
+    data: listings,
+  });
+});
@@ -0,0 +1,75 @@
+const SecurityEvent = require("../model/SecurityEvent");
+const asyncHandler = require("express-async-handler");
+const { parsePagination } = require("../utils/pagination");
+
+// Helper function to build the filter shared by the user and admin views
+const buildEventQuery = ({ type, from, to }) => {
+  const query = {};
+
+  if (type) {
+    query.type = { $in: String(type).split(",") };
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  return query;
+};
+
+// Helper function to hide which admin acted on the user's account
+// Admin actions carry the admin's IP address and user agent, not the user's
+const hideActor = (event) => {
+  if (!event.actor) return event;
+  const { actor, ipAddress, userAgent, ...rest } = event;
+  return rest;
+};
+
+// @desc Get security events of the current user (logins, password changes, ...)
+exports.getMySecurityEvents = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const query = { ...buildEventQuery(req.query), user: req.user._id };
+
+  const [events, total] = await Promise.all([
+    SecurityEvent.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    SecurityEvent.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: events.length,
+    total,
+    pagination: { page, limit, pages: Math.ceil(total / limit) },
+    // Users see that an admin acted on their account, but not which admin
+    data: events.map(hideActor),
+  });
+});
+
+// @desc Get security events across all users (admin only)
+exports.getSecurityEvents = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const query = buildEventQuery(req.query);
+
+  if (req.query.userId) query.user = req.query.userId;
+  if (req.query.ipAddress) query.ipAddress = req.query.ipAddress;
+
+  const [events, total] = await Promise.all([
+    SecurityEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("user", "firstname lastname email role")
+      .populate("actor", "firstname lastname email"),
+    SecurityEvent.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: events.length,
+    total,
+    pagination: { page, limit, pages: Math.ceil(total / limit) },
+    data: events,
+  });
+});
@@ -100,6 +100,20 @@ const authLimiter = rateLimit({
 app.use("/api/auth/login", authLimiter);
 app.use("/api/auth/signup", authLimiter);
 app.use("/api/auth/admin-login", authLimiter);
+app.use("/api/auth/2fa/verify", authLimiter);
+app.use("/api/auth/2fa/confirm", authLimiter);
+
+// Rate limit for password reset requests
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 requests
+  message: "Too many password reset requests, please try again after 15 minutes",
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+app.use("/api/auth/forgot-password", passwordResetLimiter);
+app.use("/api/auth/reset-password", passwordResetLimiter);
 
 // CORS middleware - allow frontend to access backend
 app.use(cors({
@@ -146,6 +160,16 @@ const commentRouters = require("./routes/Comment");
 const listingRouters = require("./routes/Listing");
 const adminRouters = require("./routes/Admin");
 const reviewRouters = require("./routes/Review");
+const savedSearchRouters = require("./routes/SavedSearch");
+const conversationRouters = require("./routes/Conversation");
+const realtimeRouters = require("./routes/Realtime");
+const notificationRouters = require("./routes/Notification");
+
+// Serve uploaded files when using the local storage backend
+const storage = require("./config/storage");
+if (storage.driver === "local") {
+  app.use(storage.urlPrefix, express.static(storage.uploadDir));
+}
 
 // routes middleware
 app.use("/api/users", userRouters);
@@ -156,6 +180,10 @@ app.use("/api/listings", listingRouters); // Property listings routes
 app.use("/api/comments", commentRouters);
 app.use("/api/admin", adminRouters); // Admin routes
 app.use("/api/reviews", reviewRouters); // Review routes
+app.use("/api/saved-searches", savedSearchRouters); // Saved search routes
+app.use("/api/conversations", conversationRouters); // Messaging routes
+app.use("/api/realtime", realtimeRouters); // Server-Sent Events
+app.use("/api/notifications", notificationRouters); // Notification routes
 
 // 404 error
 app.all("*", (req, res, next) => {
@@ -168,8 +196,21 @@ app.all("*", (req, res, next) => {
 // Global Error Handlers Middleware
 app.use(globalErrHandler);
 
+// ====================
+// BACKGROUND JOBS
+// ====================
+
+const { startListingExpiryJob } = require("./jobs/listingExpiryJob");
+const { startEmailOutboxJob } = require("./jobs/emailOutboxJob");
+
 // Listen To Server
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, () => {
   console.log(`Backend server is running on http://localhost:${PORT}`);
+
+  // Unpublish listings past their expiresAt
+  startListingExpiryJob();
+
+  // Deliver queued emails and retry failed ones
+  startEmailOutboxJob();
 });
@@ -0,0 +1,45 @@
+const { deliverPendingEmails } = require("../utils/email");
+
+// Interval between outbox runs in seconds (default: 60 seconds)
+const OUTBOX_INTERVAL_SECONDS = parseInt(process.env.EMAIL_OUTBOX_INTERVAL_SECONDS) || 60;
+
+let timer = null;
+
+/**
+ * Deliver pending and retry-due emails from the outbox
+ * @returns {Promise<number>} - Number of emails attempted
+ */
+const runEmailOutbox = async () => {
+  try {
+    return await deliverPendingEmails();
+  } catch (error) {
+    console.error("Email outbox job failed:", error.message);
+    return 0;
+  }
+};
+
+/**
+ * Start the in-process email outbox job
+ * Runs once immediately, then every OUTBOX_INTERVAL_SECONDS
+ */
+exports.startEmailOutboxJob = () => {
+  if (timer) return;
+
+  runEmailOutbox();
+  timer = setInterval(runEmailOutbox, OUTBOX_INTERVAL_SECONDS * 1000);
+
+  // Don't keep the process alive just for this job
+  timer.unref();
+};
+
+/**
+ * Stop the email outbox job
+ */
+exports.stopEmailOutboxJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+exports.runEmailOutbox = runEmailOutbox;
@@ -0,0 +1,95 @@
+const Listing = require("../model/Listing");
+const { notify } = require("../utils/notifications");
+
+// Interval between expiry runs in minutes (default: 60 minutes)
+const EXPIRY_INTERVAL_MINUTES = parseInt(process.env.LISTING_EXPIRY_INTERVAL_MINUTES) || 60;
+
+// Days before expiresAt that owners are reminded (default: 3 days)
+const EXPIRY_REMINDER_DAYS = parseInt(process.env.LISTING_EXPIRY_REMINDER_DAYS) || 3;
+
+let timer = null;
+
+/**
+ * Expire published listings whose expiresAt has passed
+ * @returns {Promise<number>} - Number of listings expired
+ */
+const runListingExpiry = async () => {
+  try {
+    const expiredCount = await Listing.expireOverdueListings();
+    if (expiredCount > 0) {
+      console.log(`Listing expiry job: ${expiredCount} listing(s) expired`);
+    }
+    return expiredCount;
+  } catch (error) {
+    console.error("Listing expiry job failed:", error.message);
+    return 0;
+  }
+};
+
+/**
+ * Remind owners whose published listings expire within EXPIRY_REMINDER_DAYS
+ * Each publish period gets a single reminder
+ * @returns {Promise<number>} - Number of listings whose owner was reminded
+ */
+const runExpiryReminders = async () => {
+  let listings;
+  try {
+    listings = await Listing.findListingsNeedingExpiryReminder(EXPIRY_REMINDER_DAYS);
+  } catch (error) {
+    console.error("Listing expiry reminders failed:", error.message);
+    return 0;
+  }
+
+  // A failed reminder is retried on the next run and must not hold up the others
+  let reminded = 0;
+  for (const listing of listings) {
+    try {
+      await notify(listing.author, "listing_expiring", {
+        title: "Your listing is about to expire",
+        message: `"${listing.title}" expires on ${listing.expiresAt.toDateString()}. Request a renewal to keep it published`,
+        data: { listingId: listing._id, expiresAt: listing.expiresAt },
+      });
+
+      await Listing.updateOne({ _id: listing._id }, { $set: { expiryReminderSentAt: new Date() } });
+      reminded++;
+    } catch (error) {
+      console.error(`Listing expiry reminder for listing ${listing._id} failed:`, error.message);
+    }
+  }
+
+  return reminded;
+};
+
+// Helper function to run every step of the job
+const runJob = async () => {
+  await runListingExpiry();
+  await runExpiryReminders();
+};
+
+/**
+ * Start the in-process listing expiry job
+ * Expires overdue listings and sends expiry reminders
+ * Runs once immediately, then every EXPIRY_INTERVAL_MINUTES
+ */
+exports.startListingExpiryJob = () => {
+  if (timer) return;
+
+  runJob();
+  timer = setInterval(runJob, EXPIRY_INTERVAL_MINUTES * 60 * 1000);
+
+  // Don't keep the process alive just for this job
+  timer.unref();
+};
+
+/**
+ * Stop the listing expiry job
+ */
+exports.stopListingExpiryJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+exports.runListingExpiry = runListingExpiry;
+exports.runExpiryReminders = runExpiryReminders;
@@ -150,6 +150,17 @@ exports.alowedTo =
         new apiError("You are not allowed to access this route", 403)
       );
     }
+
+    // Admins must have two-factor authentication enabled to use their privileges
+    if (req.user.role === "admin" && !(req.user.twoFactor && req.user.twoFactor.enabled)) {
+      return next(
+        new apiError(
+          "Two-factor authentication is required for admin accounts. Set it up from /api/auth/2fa/setup",
+          403
+        )
+      );
+    }
+
     next();
   };
 
@@ -167,6 +178,20 @@ exports.isBlocked = (req, res, next) => {
   next();
 };
 
+// @desc Require a verified email address (admins are exempt)
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified && req.user.role !== "admin") {
+    return next(
+      new apiError(
+        "Please verify your email address to continue. You can request a new verification email from your account",
+        403
+      )
+    );
+  }
+
+  next();
+};
+
 // @Desc Optional authentication - attach user if token exists, but don't reject if missing
 exports.optionalAuth = asyncHandler(async (req, res, next) => {
   // 1) Extract token from cookie or header
@@ -0,0 +1,134 @@
+const mongoose = require("mongoose");
+
+// Create SCHEMA for Conversations between a tenant and a listing owner
+const ConversationSchema = new mongoose.Schema(
+  {
+    listing: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Listing",
+      required: [true, "Listing is required"],
+    },
+
+    // Listing author
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Owner is required"],
+    },
+
+    // User who started the conversation about the listing
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Tenant is required"],
+    },
+
+    lastMessage: {
+      body: String,
+      sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      createdAt: Date,
+    },
+
+    lastMessageAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Unread message counts per participant
+    ownerUnread: {
+      type: Number,
+      default: 0,
+    },
+
+    tenantUnread: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One conversation per tenant and listing
+ConversationSchema.index({ listing: 1, tenant: 1 }, { unique: true });
+
+// Inbox queries for either participant, most recent first
+ConversationSchema.index({ owner: 1, lastMessageAt: -1 });
+ConversationSchema.index({ tenant: 1, lastMessageAt: -1 });
+
+/**
+ * Get the role of a user in this conversation
+ * @param {ObjectId} userId - User ID
+ * @returns {string|null} - "owner", "tenant" or null if not a participant
+ */
+ConversationSchema.methods.roleOf = function (userId) {
+  const id = userId.toString();
+  const ownerId = (this.owner._id || this.owner).toString();
+  const tenantId = (this.tenant._id || this.tenant).toString();
+
+  if (id === ownerId) return "owner";
+  if (id === tenantId) return "tenant";
+  return null;
+};
+
+/**
+ * Get the other participant of this conversation
+ * @param {ObjectId} userId - User ID of one participant
+ * @returns {ObjectId|Object} - The other participant (populated if loaded)
+ */
+ConversationSchema.methods.otherParticipant = function (userId) {
+  return this.roleOf(userId) === "owner" ? this.tenant : this.owner;
+};
+
+/**
+ * Get the number of unread messages for a user in this conversation
+ * @param {ObjectId} userId - User ID
+ * @returns {number} - Unread message count
+ */
+ConversationSchema.methods.unreadFor = function (userId) {
+  const role = this.roleOf(userId);
+  if (role === "owner") return this.ownerUnread;
+  if (role === "tenant") return this.tenantUnread;
+  return 0;
+};
+
+/**
+ * Get the unread totals for a user across conversations
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<Object>} - { messages, conversations }
+ */
+ConversationSchema.statics.getUnreadCount = async function (userId) {
+  const [result] = await this.aggregate([
+    { $match: { $or: [{ owner: userId }, { tenant: userId }] } },
+    {
+      $group: {
+        _id: null,
+        total: {
+          $sum: { $cond: [{ $eq: ["$owner", userId] }, "$ownerUnread", "$tenantUnread"] },
+        },
+        conversations: {
+          $sum: {
+            $cond: [
+              { $gt: [{ $cond: [{ $eq: ["$owner", userId] }, "$ownerUnread", "$tenantUnread"] }, 0] },
+              1,
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  return {
+    messages: result ? result.total : 0,
+    conversations: result ? result.conversations : 0,
+  };
+};
+
+// Create Model
+const Conversation = mongoose.model("Conversation", ConversationSchema);
+module.exports = Conversation;
@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+
+// Days sent and permanently failed emails are kept before being removed (default: 30 days)
+const RETENTION_DAYS = parseInt(process.env.EMAIL_OUTBOX_RETENTION_DAYS) || 30;
+
+/**
+ * Email Outbox Schema
+ * Rendered emails waiting to be delivered, with retry state
+ */
+const EmailOutboxSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: true,
+    },
+
+    template: {
+      type: String,
+      required: true,
+    },
+
+    subject: {
+      type: String,
+      required: true,
+    },
+
+    // Removed once the email is sent or has failed permanently
+    html: {
+      type: String,
+    },
+
+    text: {
+      type: String,
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "sending", "sent", "failed"],
+      default: "pending",
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+
+    // Earliest time of the next delivery attempt
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // When a worker claimed the email (used to recover from crashes)
+    lockedAt: {
+      type: Date,
+    },
+
+    lastError: {
+      type: String,
+    },
+
+    messageId: {
+      type: String,
+    },
+
+    sentAt: {
+      type: Date,
+    },
+
+    // When the email is removed, set once it is sent or has failed permanently
+    expireAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Compound index for picking up due emails
+EmailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Automatically delete finished emails after the retention period (pending ones have no expireAt)
+EmailOutboxSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+// @desc Start the retention period once delivery is over, whether it succeeded or not
+EmailOutboxSchema.pre("save", function (next) {
+  if (["sent", "failed"].includes(this.status) && !this.expireAt) {
+    this.expireAt = new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  }
+  next();
+});
+
+module.exports = mongoose.model("EmailOutbox", EmailOutboxSchema);
@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+
+// Create SCHEMA for Favorites (a user's liked listings)
+const FavoriteSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+
+    listing: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Listing",
+      required: [true, "Listing is required"],
+    },
+
+    // Optional named collection, e.g. "Shortlist" or "Near office"
+    collectionName: {
+      type: String,
+      trim: true,
+    },
+
+    note: {
+      type: String,
+      trim: true,
+    },
+
+    // Listing state when it was saved, used to flag changes
+    savedPrice: {
+      type: Number,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A listing can only be saved once per user
+FavoriteSchema.index({ user: 1, listing: 1 }, { unique: true });
+
+// Compound index for listing a user's favorites newest first
+FavoriteSchema.index({ user: 1, collectionName: 1, createdAt: -1 });
+
+FavoriteSchema.index({ listing: 1 });
+
+/**
+ * Save a listing as a favorite for a user (no-op if already saved)
+ * @param {ObjectId} userId - User ID
+ * @param {Object} listing - Listing document
+ * @returns {Promise<Object>} - Favorite document
+ */
+FavoriteSchema.statics.saveListing = function (userId, listing) {
+  return this.findOneAndUpdate(
+    { user: userId, listing: listing._id },
+    { $setOnInsert: { savedPrice: listing.rentPerMonth } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Describe how a saved listing changed since it was saved
+ * @returns {Object} - { expired, rejected, priceChanged, priceDifference }
+ */
+FavoriteSchema.methods.getChanges = function () {
+  const listing = this.listing;
+  const priceChanged =
+    this.savedPrice !== undefined && listing.rentPerMonth !== this.savedPrice;
+
+  return {
+    expired: listing.status === "expired",
+    rejected: listing.status === "rejected",
+    priceChanged,
+    priceDifference: priceChanged ? listing.rentPerMonth - this.savedPrice : 0,
+  };
+};
+
+// Create Model
+const Favorite = mongoose.model("Favorite", FavoriteSchema);
+module.exports = Favorite;
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// Create SCHEMA for a stored image variant
+const ImageVariantSchema = new mongoose.Schema(
+  {
+    url: String,
+    width: Number,
+    height: Number,
+    publicId: String, // Storage id used to delete the file
+  },
+  { _id: false }
+);
+
+// Create SCHEMA for a processed image (embedded in Listing and User)
+const ImageSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: [true, "Image url is required"],
+    },
+    width: Number,
+    height: Number,
+    variants: {
+      small: ImageVariantSchema,
+      medium: ImageVariantSchema,
+      large: ImageVariantSchema,
+    },
+  },
+  { _id: false }
+);
+
+// @desc Convert a legacy plain string image url into an image object
+const toImageObject = (value) => (typeof value === "string" ? { url: value } : value);
+
+module.exports = ImageSchema;
+module.exports.toImageObject = toImageObject;
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const ImageSchema = require("./ImageSchema");
+const { toImageObject } = require("./ImageSchema");
 
 // Create SCHEMA for Property Listings
 const ListingSchema = new mongoose.Schema(
@@ -37,6 +39,17 @@ const ListingSchema = new mongoose.Schema(
         lat: Number,
         lng: Number,
       },
+      // GeoJSON point kept in sync with coordinates for geospatial queries
+      geo: {
+        type: {
+          type: String,
+          enum: ["Point"],
+        },
+        coordinates: {
+          type: [Number], // [lng, lat]
+          default: undefined,
+        },
+      },
     },
 
     rentPerMonth: {
@@ -75,11 +88,12 @@ const ListingSchema = new mongoose.Schema(
       },
     ],
 
-    images: [
-      {
-        type: String,
-      },
-    ],
+    images: [ImageSchema],
+
+    // Url of the image shown first
+    coverImage: {
+      type: String,
+    },
 
     contactPhone: {
       type: String,
@@ -90,6 +104,12 @@ const ListingSchema = new mongoose.Schema(
       type: String,
     },
 
+    // Hide phone numbers from other users so they contact the owner via messages
+    hideContactPhone: {
+      type: Boolean,
+      default: false,
+    },
+
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -98,7 +118,7 @@ const ListingSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ["pending", "published", "rejected"],
+      enum: ["pending", "published", "rejected", "expired"],
       default: "pending",
     },
 
@@ -140,12 +160,211 @@ const ListingSchema = new mongoose.Schema(
     expiresAt: {
       type: Date,
     },
+
+    expiredAt: {
+      type: Date,
+    },
+
+    publishedAt: {
+      type: Date,
+    },
+
+    // When the owner was reminded that the current publish period is ending
+    expiryReminderSentAt: {
+      type: Date,
+    },
+
+    // Pending/last renewal request made by the owner
+    renewalRequest: {
+      months: {
+        type: Number,
+        min: 1,
+        max: 12,
+      },
+      status: {
+        type: String,
+        enum: ["pending", "approved", "rejected"],
+      },
+      requestedAt: {
+        type: Date,
+      },
+      reviewedAt: {
+        type: Date,
+      },
+      rejectionReason: {
+        type: String,
+      },
+    },
+
+    // History of publish periods (initial approval, publishing again after a rejection, renewals)
+    publishHistory: [
+      {
+        type: {
+          type: String,
+          enum: ["initial", "republish", "renewal"],
+        },
+        months: Number,
+        startsAt: Date,
+        expiresAt: Date,
+        approvedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        approvedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   {
     timestamps: true,
   }
 );
 
+// Index for the expiry job lookup
+ListingSchema.index({ status: 1, expiresAt: 1 });
+
+// Full-text index for keyword search in public browse
+ListingSchema.index(
+  {
+    title: "text",
+    description: "text",
+    "location.district": "text",
+    "location.city": "text",
+    "location.address": "text",
+    amenities: "text",
+  },
+  {
+    name: "ListingTextIndex",
+    weights: {
+      title: 10,
+      "location.city": 6,
+      amenities: 5,
+      "location.district": 4,
+      "location.address": 3,
+      description: 2,
+    },
+  }
+);
+
+// Geospatial index for near me / radius search
+ListingSchema.index({ "location.geo": "2dsphere" });
+
+// Indexes for public browse sort orders (with _id as cursor tiebreaker)
+ListingSchema.index({ status: 1, createdAt: -1, _id: -1 });
+ListingSchema.index({ status: 1, rentPerMonth: 1, _id: 1 });
+
+// Helper function to build a GeoJSON point from { lat, lng } coordinates
+const toGeoPoint = (coordinates) => {
+  if (
+    !coordinates ||
+    typeof coordinates.lat !== "number" ||
+    typeof coordinates.lng !== "number"
+  ) {
+    return undefined;
+  }
+
+  return { type: "Point", coordinates: [coordinates.lng, coordinates.lat] };
+};
+
+// @desc Read legacy plain string images as image objects until they are migrated
+ListingSchema.pre("init", function (doc) {
+  if (Array.isArray(doc.images)) {
+    doc.images = doc.images.map(toImageObject);
+  }
+});
+
+// @desc Keep location.geo in sync with location.coordinates on save
+ListingSchema.pre("save", function (next) {
+  if (this.isModified("location.coordinates") || this.isModified("location")) {
+    this.location.geo = toGeoPoint(this.location.coordinates);
+  }
+  next();
+});
+
+// @desc Keep location.geo in sync with location.coordinates on findOneAndUpdate
+ListingSchema.pre("findOneAndUpdate", function (next) {
+  const update = this.getUpdate() || {};
+  const target = update.$set || update;
+
+  if (target.location && target.location.coordinates) {
+    target.location.geo = toGeoPoint(target.location.coordinates);
+  } else if (target["location.coordinates"]) {
+    target["location.geo"] = toGeoPoint(target["location.coordinates"]);
+  }
+
+  next();
+});
+
+/**
+ * Populate location.geo for listings that only have lat/lng coordinates
+ * @returns {Promise<number>} - Number of listings migrated
+ */
+ListingSchema.statics.syncGeoPoints = async function () {
+  const listings = await this.find(
+    {
+      "location.coordinates.lat": { $type: "number" },
+      "location.coordinates.lng": { $type: "number" },
+      "location.geo": { $exists: false },
+    },
+    { "location.coordinates": 1 }
+  ).lean();
+
+  if (listings.length === 0) return 0;
+
+  const result = await this.bulkWrite(
+    listings.map((listing) => ({
+      updateOne: {
+        filter: { _id: listing._id },
+        update: { $set: { "location.geo": toGeoPoint(listing.location.coordinates) } },
+      },
+    }))
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Move published listings whose expiresAt has passed into the "expired" status
+ * @param {Date} now - Reference time (default: current time)
+ * @returns {Promise<number>} - Number of listings expired
+ */
+ListingSchema.statics.expireOverdueListings = async function (now = new Date()) {
+  const result = await this.updateMany(
+    {
+      status: "published",
+      expiresAt: { $lte: now },
+    },
+    {
+      $set: {
+        status: "expired",
+        isAvailable: false,
+        expiredAt: now,
+      },
+    }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Find published listings expiring soon whose owners haven't been reminded yet
+ * @param {number} withinDays - Days before expiresAt to remind owners
+ * @param {Date} now - Reference time (default: current time)
+ * @returns {Promise<Array>} - Listings to remind about
+ */
+ListingSchema.statics.findListingsNeedingExpiryReminder = async function (withinDays, now = new Date()) {
+  return await this.find(
+    {
+      status: "published",
+      expiresAt: { $gt: now, $lte: new Date(now.getTime() + withinDays * 24 * 60 * 60 * 1000) },
+      expiryReminderSentAt: { $exists: false },
+    },
+    { title: 1, author: 1, expiresAt: 1 }
+  );
+};
+
 // Create Model
 const Listing = mongoose.model("Listing", ListingSchema);
 module.exports = Listing;
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// Create SCHEMA for Messages within a conversation
+const MessageSchema = new mongoose.Schema(
+  {
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: [true, "Conversation is required"],
+    },
+
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Sender is required"],
+    },
+
+    body: {
+      type: String,
+      required: [true, "Message body is required"],
+      trim: true,
+    },
+
+    // Read receipt, set when the recipient opens the conversation
+    readAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Compound index for paging through a conversation
+MessageSchema.index({ conversation: 1, createdAt: -1 });
+
+// Create Model
+const Message = mongoose.model("Message", MessageSchema);
+module.exports = Message;
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+/**
+ * Notification Schema
+ * Persistent in-app notifications queued for a user
+ */
+const NotificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    type: {
+      type: String,
+      enum: [
+        "listing_approved",
+        "listing_rejected",
+        "listing_expiring",
+        "new_review",
+        "new_follower",
+        "saved_search_match",
+        "new_sign_in",
+      ],
+      required: true,
+    },
+
+    title: {
+      type: String,
+      required: true,
+    },
+
+    message: {
+      type: String,
+    },
+
+    // Event specific payload (e.g. listingId, savedSearchId)
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    readAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Compound index for listing a user's notifications newest first
+NotificationSchema.index({ user: 1, createdAt: -1 });
+
+// Compound index for unread counts
+NotificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model("Notification", NotificationSchema);
@@ -0,0 +1,101 @@
+const mongoose = require("mongoose");
+
+// Create SCHEMA for Saved Searches
+const SavedSearchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+      index: true,
+    },
+
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+    },
+
+    // Same filters as public listing browse
+    filters: {
+      propertyType: {
+        type: String,
+        enum: ["room", "annex", "house", "apartment", "commercial"],
+      },
+      district: String,
+      city: String,
+      minPrice: Number,
+      maxPrice: Number,
+      bedrooms: Number,
+      bathrooms: Number,
+      furnishing: {
+        type: String,
+        enum: ["furnished", "semi-furnished", "unfurnished"],
+      },
+    },
+
+    // Notify the user when a new matching listing is published
+    alertsEnabled: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Last time the user fetched new results for this search
+    lastCheckedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Last listing returned when a fetch was cut off at lastCheckedAt, so listings
+    // published at the same time are still returned by the next fetch
+    lastCheckedListingId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+
+    lastNotifiedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Helper function to match an optional filter field against a value
+const optionalEquals = (path, value) => ({
+  $or: [{ [path]: { $exists: false } }, { [path]: null }, { [path]: value }],
+});
+
+/**
+ * Find saved searches with alerts enabled that match a listing
+ * Exact fields are matched in the query, the case-insensitive city
+ * substring match is applied afterwards
+ * @param {Object} listing - Published listing
+ * @returns {Promise<Array>} - Matching saved searches
+ */
+SavedSearchSchema.statics.findMatchesForListing = async function (listing) {
+  const rent = listing.rentPerMonth;
+
+  const searches = await this.find({
+    alertsEnabled: true,
+    user: { $ne: listing.author },
+    $and: [
+      optionalEquals("filters.propertyType", listing.propertyType),
+      optionalEquals("filters.district", listing.location.district),
+      optionalEquals("filters.bedrooms", listing.bedrooms),
+      optionalEquals("filters.bathrooms", listing.bathrooms),
+      optionalEquals("filters.furnishing", listing.furnishing),
+      { $or: [{ "filters.minPrice": { $exists: false } }, { "filters.minPrice": null }, { "filters.minPrice": { $lte: rent } }] },
+      { $or: [{ "filters.maxPrice": { $exists: false } }, { "filters.maxPrice": null }, { "filters.maxPrice": { $gte: rent } }] },
+    ],
+  });
+
+  const city = (listing.location.city || "").toLowerCase();
+  return searches.filter(
+    (search) => !search.filters.city || city.includes(search.filters.city.toLowerCase())
+  );
+};
+
+// Create Model
+const SavedSearch = mongoose.model("SavedSearch", SavedSearchSchema);
+module.exports = SavedSearch;
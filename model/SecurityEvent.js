@@ -0,0 +1,94 @@
+const mongoose = require("mongoose");
+
+// Days security events are kept before being removed (default: 90 days)
+// Admin actions are part of the audit trail and are kept
+const SECURITY_EVENT_RETENTION_DAYS = parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS) || 90;
+
+/**
+ * Security Event Schema
+ * Audit record of security relevant events on a user's account
+ */
+const SecurityEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    type: {
+      type: String,
+      enum: [
+        "login_success",
+        "login_failed",
+        "account_locked",
+        "password_changed",
+        "logout",
+        "logout_all",
+        "session_revoked",
+        "two_factor_enabled",
+        "two_factor_disabled",
+        "refresh_token_reuse",
+        // Admin actions (audit trail)
+        "admin_session_revoked",
+        "admin_sessions_revoked",
+        "admin_account_unlocked",
+        "admin_two_factor_reset",
+        "admin_status_changed",
+        "admin_user_deleted",
+      ],
+      required: true,
+    },
+
+    // Admin who performed the action (admin actions only)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    ipAddress: {
+      type: String,
+    },
+
+    userAgent: {
+      type: String,
+    },
+
+    // Event specific payload (e.g. tokenFamily, sessionsRevoked)
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    // When the event is removed (not set on admin actions)
+    expireAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Compound index for listing a user's events newest first
+SecurityEventSchema.index({ user: 1, createdAt: -1 });
+
+// TTL index to automatically remove old events (documents without expireAt are kept)
+SecurityEventSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+// Index for the admin view filtered by type
+SecurityEventSchema.index({ type: 1, createdAt: -1 });
+
+// Index for the admin audit trail
+SecurityEventSchema.index({ actor: 1, createdAt: -1 }, { sparse: true });
+
+// @desc Set the removal date of new events, except admin actions
+SecurityEventSchema.pre("save", function (next) {
+  if (this.isNew && !this.actor && !this.expireAt) {
+    this.expireAt = new Date(Date.now() + SECURITY_EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  }
+  next();
+});
+
+module.exports = mongoose.model("SecurityEvent", SecurityEventSchema);
@@ -1,4 +1,8 @@
 const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+
+// Days expired sessions are kept as sign-in history before being removed (default: 30 days)
+const SESSION_HISTORY_DAYS = parseInt(process.env.SESSION_HISTORY_DAYS) || 30;
 
 /**
  * Session Schema for Active Session Management
@@ -25,6 +29,12 @@ const SessionSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Shared by every session created by rotating the refresh token of one login
+    tokenFamily: {
+      type: String,
+      index: true,
+    },
+
     ipAddress: {
       type: String,
       required: true,
@@ -46,10 +56,10 @@ const SessionSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Indexed by the TTL index below
     expiresAt: {
       type: Date,
       required: true,
-      index: true,
     },
 
     isActive: {
@@ -58,12 +68,18 @@ const SessionSchema = new mongoose.Schema(
       index: true,
     },
 
-    // Geographic data
+    // Geographic data (resolved offline from ipAddress)
     location: {
       country: String,
       city: String,
       region: String,
     },
+
+    // Compared to the user's earlier sessions when the login happened
+    signInFlags: {
+      newCountry: Boolean,
+      newDevice: Boolean,
+    },
   },
   {
     timestamps: true,
@@ -74,8 +90,10 @@ const SessionSchema = new mongoose.Schema(
 SessionSchema.index({ userId: 1, isActive: 1 });
 SessionSchema.index({ userId: 1, lastActivity: -1 });
 
-// TTL index to automatically remove expired sessions
-SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// TTL index to automatically remove expired sessions once they are no longer needed as history
+// Changing its options (SESSION_HISTORY_DAYS) conflicts with the index already in the database:
+// the automatic index build throws IndexOptionsConflict at startup until `npm run migrate:session-retention` is run
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: SESSION_HISTORY_DAYS * 24 * 60 * 60 });
 
 /**
  * Update last activity timestamp
@@ -85,6 +103,24 @@ SessionSchema.methods.updateActivity = async function () {
   await this.save();
 };
 
+// Helper function to blacklist a session's access and refresh tokens
+// Without the refresh token the device could get a new access token after being logged out
+const blacklistSessionTokens = async (session, reason) => {
+  const TokenBlacklist = mongoose.model("TokenBlacklist");
+  const metadata = {
+    ipAddress: session.ipAddress,
+    userAgent: session.userAgent,
+    tokenFamily: session.tokenFamily,
+  };
+
+  for (const token of [session.token, session.refreshToken].filter(Boolean)) {
+    const { exp } = jwt.decode(token) || {};
+    if (!exp || exp * 1000 <= Date.now()) continue;
+
+    await TokenBlacklist.blacklistTokenIfMissing(token, session.userId, new Date(exp * 1000), reason, metadata);
+  }
+};
+
 /**
  * Invalidate this session
  */
@@ -92,18 +128,8 @@ SessionSchema.methods.invalidate = async function (reason = "logout") {
   this.isActive = false;
   await this.save();
 
-  // Also blacklist the token
-  const TokenBlacklist = mongoose.model("TokenBlacklist");
-  await TokenBlacklist.blacklistToken(
-    this.token,
-    this.userId,
-    this.expiresAt,
-    reason,
-    {
-      ipAddress: this.ipAddress,
-      userAgent: this.userAgent,
-    }
-  );
+  // Also blacklist the tokens
+  await blacklistSessionTokens(this, reason);
 };
 
 /**
@@ -128,28 +154,43 @@ SessionSchema.statics.findActiveSessions = async function (userId) {
 SessionSchema.statics.invalidateAllUserSessions = async function (userId, reason = "forced_logout") {
   const sessions = await this.find({ userId, isActive: true });
 
-  const TokenBlacklist = mongoose.model("TokenBlacklist");
-
   for (const session of sessions) {
     session.isActive = false;
     await session.save();
 
-    // Blacklist the token
-    await TokenBlacklist.blacklistToken(
-      session.token,
-      userId,
-      session.expiresAt,
-      reason,
-      {
-        ipAddress: session.ipAddress,
-        userAgent: session.userAgent,
-      }
-    );
+    // Blacklist the tokens
+    await blacklistSessionTokens(session, reason);
   }
 
   return sessions.length;
 };
 
+/**
+ * Revoke every session of a refresh token family
+ * Blacklists both the access and refresh tokens of the family's sessions
+ * @param {string} userId - User ID
+ * @param {string} tokenFamily - Refresh token family
+ * @param {string} reason - Reason for revocation
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+SessionSchema.statics.revokeTokenFamily = async function (userId, tokenFamily, reason = "token_reuse") {
+  const sessions = await this.find({ userId, tokenFamily });
+  let revoked = 0;
+
+  for (const session of sessions) {
+    if (session.isActive) {
+      session.isActive = false;
+      await session.save();
+      revoked += 1;
+    }
+
+    // Rotated refresh tokens are already blacklisted and keep their entry
+    await blacklistSessionTokens(session, reason);
+  }
+
+  return revoked;
+};
+
 /**
  * Clean up expired or inactive sessions
  * @param {number} inactivityHours - Hours of inactivity before cleanup (default: 24)
@@ -200,4 +241,34 @@ SessionSchema.methods.isInactive = function (maxInactivityMinutes = 120) {
   return inactivityMinutes > maxInactivityMinutes;
 };
 
+/**
+ * Find the user's logins within the history window, one entry per login
+ * Sessions created by refreshing tokens share the login's token family and are merged,
+ * so frequent refreshes can't push older logins out of the result
+ * @param {string} userId - User ID
+ * @param {number} limit - Maximum number of logins (newest first)
+ * @returns {Promise<Array>} - Logins with location, deviceInfo and signedInAt
+ */
+SessionSchema.statics.findRecentHistory = async function (userId, limit = 200) {
+  return await this.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        createdAt: { $gte: new Date(Date.now() - SESSION_HISTORY_DAYS * 24 * 60 * 60 * 1000) },
+      },
+    },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: { $ifNull: ["$tokenFamily", { $toString: "$_id" }] },
+        signedInAt: { $first: "$createdAt" },
+        location: { $first: "$location" },
+        deviceInfo: { $first: "$deviceInfo" },
+      },
+    },
+    { $sort: { signedInAt: -1 } },
+    { $limit: limit },
+  ]);
+};
+
 module.exports = mongoose.model("Session", SessionSchema);
@@ -23,10 +23,25 @@ const TokenBlacklistSchema = new mongoose.Schema(
 
     reason: {
       type: String,
-      enum: ["logout", "password_change", "account_deleted", "forced_logout", "expired"],
+      enum: [
+        "logout",
+        "logout_all",
+        "session_revoked",
+        "password_change",
+        "account_deleted",
+        "forced_logout",
+        "expired",
+        "token_rotation",
+        "token_reuse",
+      ],
       default: "logout",
     },
 
+    // Refresh token family, used to detect reuse of rotated refresh tokens
+    tokenFamily: {
+      type: String,
+    },
+
     expiresAt: {
       type: Date,
       required: true,
@@ -60,11 +75,20 @@ TokenBlacklistSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
  * @returns {Promise<boolean>} - True if blacklisted
  */
 TokenBlacklistSchema.statics.isBlacklisted = async function (token) {
-  const blacklisted = await this.findOne({
+  const blacklisted = await this.findBlacklisted(token);
+  return !!blacklisted;
+};
+
+/**
+ * Find the blacklist entry of a token
+ * @param {string} token - JWT token to look up
+ * @returns {Promise<Object|null>} - Blacklist entry or null
+ */
+TokenBlacklistSchema.statics.findBlacklisted = async function (token) {
+  return await this.findOne({
     token,
     expiresAt: { $gt: new Date() } // Only check non-expired entries
   });
-  return !!blacklisted;
 };
 
 /**
@@ -73,7 +97,7 @@ TokenBlacklistSchema.statics.isBlacklisted = async function (token) {
  * @param {string} userId - User ID associated with token
  * @param {Date} expiresAt - When the token expires
  * @param {string} reason - Reason for blacklisting
- * @param {Object} metadata - Additional metadata (ip, userAgent)
+ * @param {Object} metadata - Additional metadata (ip, userAgent, tokenFamily)
  * @returns {Promise<Object>} - Blacklist entry
  */
 TokenBlacklistSchema.statics.blacklistToken = async function (
@@ -88,11 +112,54 @@ TokenBlacklistSchema.statics.blacklistToken = async function (
     userId,
     reason,
     expiresAt,
+    tokenFamily: metadata.tokenFamily,
     ipAddress: metadata.ipAddress,
     userAgent: metadata.userAgent,
   });
 };
 
+/**
+ * Blacklist a token unless it is already blacklisted
+ * Keeps the original entry (and reason) when there is one, so concurrent callers
+ * can use the return value to tell which of them blacklisted the token
+ * @param {string} token - JWT token to blacklist
+ * @param {string} userId - User ID associated with token
+ * @param {Date} expiresAt - When the token expires
+ * @param {string} reason - Reason for blacklisting
+ * @param {Object} metadata - Additional metadata (ip, userAgent, tokenFamily)
+ * @returns {Promise<boolean>} - True if this call created the entry
+ */
+TokenBlacklistSchema.statics.blacklistTokenIfMissing = async function (
+  token,
+  userId,
+  expiresAt,
+  reason = "logout",
+  metadata = {}
+) {
+  try {
+    const result = await this.updateOne(
+      { token },
+      {
+        $setOnInsert: {
+          userId,
+          reason,
+          expiresAt,
+          blacklistedAt: new Date(),
+          tokenFamily: metadata.tokenFamily,
+          ipAddress: metadata.ipAddress,
+          userAgent: metadata.userAgent,
+        },
+      },
+      { upsert: true }
+    );
+    return result.upsertedCount === 1;
+  } catch (error) {
+    // Two upserts raced and the unique token index rejected the second one
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
 /**
  * Blacklist all tokens for a user (e.g., on password change)
  * Note: This requires storing active tokens per user
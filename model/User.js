@@ -1,6 +1,8 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
 const Post = require("./Post");
+const ImageSchema = require("./ImageSchema");
+const { toImageObject } = require("./ImageSchema");
 
 // Create Schema
 const UserSchema = new mongoose.Schema(
@@ -15,9 +17,7 @@ const UserSchema = new mongoose.Schema(
       required: [true, "Last Name is Required"],
     },
 
-    image: {
-      type: String,
-    },
+    image: ImageSchema,
 
     email: {
       type: String,
@@ -26,6 +26,29 @@ const UserSchema = new mongoose.Schema(
       required: [true, "Email is Required"],
     },
 
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+
+    emailVerifiedAt: {
+      type: Date,
+    },
+
+    // Current verification token and resend throttling state
+    emailVerification: {
+      nonceHash: {
+        type: String,
+        select: false,
+      },
+      sentAt: Date,
+      sendCount: {
+        type: Number,
+        default: 0,
+      },
+      windowStartedAt: Date,
+    },
+
     phone: {
       type: String,
     },
@@ -62,6 +85,49 @@ const UserSchema = new mongoose.Schema(
       type: Date,
     },
 
+    // TOTP two-factor authentication (mandatory for admins)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: Date,
+      // Encrypted base32 secrets
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // Last accepted time step, so a code can't be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [
+          {
+            _id: false,
+            hash: String,
+            usedAt: Date,
+          },
+        ],
+        select: false,
+      },
+    },
+
+    // Pending password reset (only the hash of the emailed token is stored)
+    passwordReset: {
+      tokenHash: {
+        type: String,
+        select: false,
+      },
+      expiresAt: Date,
+      requestedAt: Date,
+    },
+
     isBlocked: {
       type: Boolean,
       default: false,
@@ -115,6 +181,20 @@ const UserSchema = new mongoose.Schema(
       },
     ],
 
+    // Notification preferences by event type, e.g. { new_review: { inApp: true, realtime: false } }
+    // Missing types and channels are enabled
+    notificationPreferences: {
+      type: Map,
+      of: new mongoose.Schema(
+        {
+          inApp: Boolean,
+          realtime: Boolean,
+        },
+        { _id: false }
+      ),
+      default: {},
+    },
+
     plan: {
       type: String,
       enum: ["Free", "Premium", "Pro"],
@@ -240,6 +320,13 @@ UserSchema.pre("findOne", async function (next) {
   next();
 });
 
+// @desc Read a legacy plain string image as an image object until it is migrated
+UserSchema.pre("init", function (doc) {
+  if (doc.image) {
+    doc.image = toImageObject(doc.image);
+  }
+});
+
 // @desc Hash Password with Strong Salt Rounds
 UserSchema.pre("save", async function (next) {
   // Only hash the password if it has been modified or is new
@@ -6,9 +6,26 @@ const {
   getAllUsers,
   getUserById,
   updateUserStatus,
+  resetUserTwoFactor,
   deleteUser,
   getAllListings,
 } = require("../controllers/adminCtr");
+const {
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+  unlockUser,
+  getUserLoginHistory,
+  getUserBlacklistedTokens,
+  getAuditLog,
+} = require("../controllers/adminSecurityCtr");
+const { getSecurityEvents } = require("../controllers/securityEventCtr");
+const { adminSecurityEventsValidator } = require("../utils/validators/securityEventValidator");
+const {
+  adminUserIdValidator,
+  adminSessionIdValidator,
+  auditLogValidator,
+} = require("../utils/validators/adminValidator");
 
 const {
   requireSignIn,
@@ -35,6 +52,42 @@ router.get("/users/:id", getUserById);
 // @access Protected (Admin only)
 router.put("/users/:id/status", updateUserStatus);
 
+// @desc Reset user's two-factor authentication
+// @access Protected (Admin only)
+router.put("/users/:id/2fa/reset", resetUserTwoFactor);
+
+// @desc Get user's active sessions
+// @access Protected (Admin only)
+router.get("/users/:id/sessions", adminUserIdValidator, getUserSessions);
+
+// @desc Force logout all of user's sessions
+// @access Protected (Admin only)
+router.delete("/users/:id/sessions", adminUserIdValidator, revokeAllUserSessions);
+
+// @desc Get user's login history
+// @access Protected (Admin only)
+router.get("/users/:id/sessions/history", adminUserIdValidator, getUserLoginHistory);
+
+// @desc Get user's blacklisted tokens
+// @access Protected (Admin only)
+router.get("/users/:id/sessions/blacklisted-tokens", adminUserIdValidator, getUserBlacklistedTokens);
+
+// @desc Force logout one of user's sessions
+// @access Protected (Admin only)
+router.delete("/users/:id/sessions/:sessionId", adminSessionIdValidator, revokeUserSession);
+
+// @desc Unlock user's account after failed login attempts
+// @access Protected (Admin only)
+router.put("/users/:id/unlock", adminUserIdValidator, unlockUser);
+
+// @desc Get audit trail of admin actions
+// @access Protected (Admin only)
+router.get("/audit-log", auditLogValidator, getAuditLog);
+
+// @desc Get security events across all users
+// @access Protected (Admin only)
+router.get("/security-events", adminSecurityEventsValidator, getSecurityEvents);
+
 // @desc Delete user
 // @access Protected (Admin only)
 router.delete("/users/:id", deleteUser);
@@ -11,13 +11,36 @@ const {
   refreshToken,
   logout,
   logoutAll,
-  getActiveSessions
+  getActiveSessions,
+  revokeSession,
+  logoutOthers,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 } = require("./../controllers/AuthCtr");
+const { getMySecurityEvents } = require("./../controllers/securityEventCtr");
+const { securityEventsValidator } = require("./../utils/validators/securityEventValidator");
 const {
   signupValidator,
   loginValidator,
+  verifyEmailValidator,
+  forgotPasswordValidator,
+  resetPasswordValidator,
+  twoFactorSetupValidator,
+  twoFactorConfirmValidator,
+  twoFactorVerifyValidator,
+  twoFactorDisableValidator,
+  twoFactorCodeValidator,
+  revokeSessionValidator,
 } = require("./../utils/validators/authValidator");
-const { requireSignIn } = require("./../middlwares/authMiddlwares");
+const { requireSignIn, optionalAuth } = require("./../middlwares/authMiddlwares");
 
 // Public routes - No authentication required
 // @desc Sign Up
@@ -32,6 +55,25 @@ router.post("/login/admin", loginValidator, adminLogin);
 // @desc Refresh Token
 router.post("/refresh-token", refreshToken);
 
+// @desc Verify Email
+router.post("/verify-email", verifyEmailValidator, verifyEmail);
+
+// @desc Forgot Password
+router.post("/forgot-password", forgotPasswordValidator, forgotPassword);
+
+// @desc Reset Password
+router.post("/reset-password", resetPasswordValidator, resetPassword);
+
+// @desc Complete login with a two-factor code
+router.post("/2fa/verify", twoFactorVerifyValidator, verifyTwoFactor);
+
+// Two-factor enrollment - signed in, or with the enroll challenge from login
+// @desc Start two-factor setup
+router.post("/2fa/setup", optionalAuth, twoFactorSetupValidator, setupTwoFactor);
+
+// @desc Confirm two-factor setup
+router.post("/2fa/confirm", optionalAuth, twoFactorConfirmValidator, confirmTwoFactor);
+
 // Protected routes - Authentication required
 // @desc Get current user
 router.get("/me", requireSignIn, getCurrentUser);
@@ -48,7 +90,28 @@ router.post("/logout", requireSignIn, logout);
 // @desc Logout from all devices
 router.post("/logout/all", requireSignIn, logoutAll);
 
+// @desc Logout from all other devices
+router.post("/logout/others", requireSignIn, logoutOthers);
+
+// @desc Resend verification email
+router.post("/verify-email/resend", requireSignIn, resendVerificationEmail);
+
 // @desc Get active sessions
 router.get("/sessions", requireSignIn, getActiveSessions);
 
+// @desc Logout a specific session
+router.delete("/sessions/:id", requireSignIn, revokeSessionValidator, revokeSession);
+
+// @desc Get my security events
+router.get("/security-events", requireSignIn, securityEventsValidator, getMySecurityEvents);
+
+// @desc Get two-factor status
+router.get("/2fa", requireSignIn, getTwoFactorStatus);
+
+// @desc Disable two-factor authentication
+router.post("/2fa/disable", requireSignIn, twoFactorDisableValidator, disableTwoFactor);
+
+// @desc Regenerate recovery codes
+router.post("/2fa/recovery-codes", requireSignIn, twoFactorCodeValidator, regenerateRecoveryCodes);
+
 module.exports = router;
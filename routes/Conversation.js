@@ -0,0 +1,50 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  startConversation,
+  getMyConversations,
+  getUnreadCount,
+  getConversation,
+  getMessages,
+  sendMessage,
+  markConversationRead,
+} = require("../controllers/conversationCtr");
+
+const {
+  startConversationValidator,
+  sendMessageValidator,
+  conversationIdValidator,
+} = require("../utils/validators/conversationValidator");
+
+const { requireSignIn, isBlocked } = require("../middlwares/authMiddlwares");
+
+// @desc Start a conversation about a listing
+// @access Protected
+router.post("/", requireSignIn, isBlocked, startConversationValidator, startConversation);
+
+// @desc Get my conversations
+// @access Protected
+router.get("/", requireSignIn, getMyConversations);
+
+// @desc Get my unread message count (must come before /:id)
+// @access Protected
+router.get("/unread-count", requireSignIn, getUnreadCount);
+
+// @desc Get a conversation
+// @access Protected (Participants)
+router.get("/:id", requireSignIn, conversationIdValidator, getConversation);
+
+// @desc Get messages of a conversation
+// @access Protected (Participants)
+router.get("/:id/messages", requireSignIn, conversationIdValidator, getMessages);
+
+// @desc Send a message
+// @access Protected (Participants)
+router.post("/:id/messages", requireSignIn, isBlocked, sendMessageValidator, sendMessage);
+
+// @desc Mark conversation as read
+// @access Protected (Participants)
+router.put("/:id/read", requireSignIn, conversationIdValidator, markConversationRead);
+
+module.exports = router;
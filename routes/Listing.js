@@ -5,40 +5,74 @@ const {
   createListing,
   updateListing,
   allListings,
+  listingsMap,
   getListing,
   deleteListing,
   getMyListings,
   updateListingStatus,
   toggleLikeListing,
   trackView,
+  requestRenewal,
+  cancelRenewal,
+  updateRenewalStatus,
+  prepareListingImageUpload,
+  uploadListingImages,
+  addListingImages,
+  reorderListingImages,
+  setListingCoverImage,
+  deleteListingImage,
+  getFavorites,
+  getFavoriteCollections,
+  updateFavorite,
 } = require("../controllers/listingCtr");
 
+const {
+  createListingValidator,
+  updateListingValidator,
+  favoriteValidator,
+} = require("../utils/validators/listingValidator");
+
 const {
   requireSignIn,
   alowedTo,
   isBlocked,
   optionalAuth,
+  requireVerifiedEmail,
 } = require("../middlwares/authMiddlwares");
 
 // @desc Get all listings (public access)
 // @access Public
 router.get("/", allListings);
 
+// @desc Get clustered listing markers for a map viewport (must come before /:id)
+// @access Public
+router.get("/map", listingsMap);
+
 // @desc Get my listings (must come before /:id to avoid route conflict)
 // @access Protected
 router.get("/my-listings", requireSignIn, getMyListings);
 
+// @desc Get my favorite listings (must come before /:id)
+// @access Protected
+router.get("/favorites", requireSignIn, getFavorites);
+
+// @desc Get my favorite collections (must come before /:id)
+// @access Protected
+router.get("/favorites/collections", requireSignIn, getFavoriteCollections);
+
 // @desc Get single listing (public for published, protected for own drafts/pending)
 // @access Public/Protected
 router.get("/:id", optionalAuth, getListing);
 
 // @desc Create Listing
-// @access Protected
+// @access Protected (Verified email)
 router.post(
   "/",
   requireSignIn,
   alowedTo("admin", "user"),
   isBlocked,
+  requireVerifiedEmail,
+  createListingValidator,
   createListing
 );
 
@@ -48,6 +82,7 @@ router.put(
   "/:id",
   requireSignIn,
   alowedTo("admin", "user"),
+  updateListingValidator,
   updateListing
 );
 
@@ -69,6 +104,73 @@ router.put(
   updateListingStatus
 );
 
+// @desc Upload listing images (multipart field "images")
+// @access Protected (Owner)
+router.post(
+  "/:id/images",
+  requireSignIn,
+  alowedTo("admin", "user"),
+  isBlocked,
+  prepareListingImageUpload,
+  uploadListingImages,
+  addListingImages
+);
+
+// @desc Reorder listing images
+// @access Protected (Owner)
+router.put(
+  "/:id/images/order",
+  requireSignIn,
+  alowedTo("admin", "user"),
+  reorderListingImages
+);
+
+// @desc Set listing cover image
+// @access Protected (Owner)
+router.put(
+  "/:id/images/cover",
+  requireSignIn,
+  alowedTo("admin", "user"),
+  setListingCoverImage
+);
+
+// @desc Delete a listing image
+// @access Protected (Owner)
+router.delete(
+  "/:id/images",
+  requireSignIn,
+  alowedTo("admin", "user"),
+  deleteListingImage
+);
+
+// @desc Request listing renewal
+// @access Protected (Owner)
+router.post(
+  "/:id/renewal",
+  requireSignIn,
+  alowedTo("admin", "user"),
+  isBlocked,
+  requestRenewal
+);
+
+// @desc Cancel pending listing renewal
+// @access Protected (Owner)
+router.delete(
+  "/:id/renewal",
+  requireSignIn,
+  alowedTo("admin", "user"),
+  cancelRenewal
+);
+
+// @desc Approve/Reject listing renewal (Admin only)
+// @access Protected (Admin)
+router.put(
+  "/:id/renewal/status",
+  requireSignIn,
+  alowedTo("admin"),
+  updateRenewalStatus
+);
+
 // @desc Like/Unlike listing
 // @access Protected
 router.post(
@@ -77,6 +179,15 @@ router.post(
   toggleLikeListing
 );
 
+// @desc Save listing to favorites with collection and note
+// @access Protected
+router.put(
+  "/:id/favorite",
+  requireSignIn,
+  favoriteValidator,
+  updateFavorite
+);
+
 // @desc Track view
 // @access Protected
 router.post(
@@ -0,0 +1,49 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  getMyNotifications,
+  getUnreadNotificationCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+} = require("../controllers/notificationCtr");
+
+const {
+  notificationIdValidator,
+  updateNotificationPreferencesValidator,
+} = require("../utils/validators/notificationValidator");
+
+const { requireSignIn } = require("../middlwares/authMiddlwares");
+
+// @desc Get my notifications
+// @access Protected
+router.get("/", requireSignIn, getMyNotifications);
+
+// @desc Get my unread notification count
+// @access Protected
+router.get("/unread-count", requireSignIn, getUnreadNotificationCount);
+
+// @desc Get my notification preferences
+// @access Protected
+router.get("/preferences", requireSignIn, getNotificationPreferences);
+
+// @desc Update my notification preferences
+// @access Protected
+router.put(
+  "/preferences",
+  requireSignIn,
+  updateNotificationPreferencesValidator,
+  updateNotificationPreferences
+);
+
+// @desc Mark all notifications as read
+// @access Protected
+router.put("/read-all", requireSignIn, markAllNotificationsRead);
+
+// @desc Mark a notification as read
+// @access Protected
+router.put("/:id/read", requireSignIn, notificationIdValidator, markNotificationRead);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+
+const { streamEvents } = require("../controllers/realtimeCtr");
+const { requireSignIn } = require("../middlwares/authMiddlwares");
+
+// @desc Server-Sent Events stream (messages, listing status changes, reviews, notifications)
+// @access Protected
+router.get("/events", requireSignIn, streamEvents);
+
+module.exports = router;
@@ -12,11 +12,12 @@ const {
 const {
   requireSignIn,
   alowedTo,
+  requireVerifiedEmail,
 } = require("../middlwares/authMiddlwares");
 
 // @desc Create Review
-// @access Protected
-router.post("/", requireSignIn, createReview);
+// @access Protected (Verified email)
+router.post("/", requireSignIn, requireVerifiedEmail, createReview);
 
 // @desc Get My Reviews
 // @access Protected
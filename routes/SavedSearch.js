@@ -0,0 +1,50 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  createSavedSearch,
+  getMySavedSearches,
+  getSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchResults,
+  getNewSavedSearchResults,
+} = require("../controllers/savedSearchCtr");
+
+const {
+  createSavedSearchValidator,
+  updateSavedSearchValidator,
+  savedSearchIdValidator,
+} = require("../utils/validators/savedSearchValidator");
+
+const { requireSignIn } = require("../middlwares/authMiddlwares");
+
+// @desc Create Saved Search
+// @access Protected
+router.post("/", requireSignIn, createSavedSearchValidator, createSavedSearch);
+
+// @desc Get My Saved Searches
+// @access Protected
+router.get("/", requireSignIn, getMySavedSearches);
+
+// @desc Get Saved Search
+// @access Protected (Owner)
+router.get("/:id", requireSignIn, savedSearchIdValidator, getSavedSearch);
+
+// @desc Update Saved Search
+// @access Protected (Owner)
+router.put("/:id", requireSignIn, updateSavedSearchValidator, updateSavedSearch);
+
+// @desc Delete Saved Search
+// @access Protected (Owner)
+router.delete("/:id", requireSignIn, savedSearchIdValidator, deleteSavedSearch);
+
+// @desc Get Saved Search Results
+// @access Protected (Owner)
+router.get("/:id/results", requireSignIn, savedSearchIdValidator, getSavedSearchResults);
+
+// @desc Get Listings Published Since Last Check
+// @access Protected (Owner)
+router.get("/:id/new", requireSignIn, savedSearchIdValidator, getNewSavedSearchResults);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+/**
+ * Migration: remove permanently failed emails from the outbox after the retention period
+ * Sets expireAt on existing sent and failed emails, then replaces the old TTL index
+ * on sentAt (which never removed failed emails) with the one on expireAt
+ * Usage: npm run migrate:email-outbox-retention
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const EmailOutbox = require("../model/EmailOutbox");
+
+// Same setting and default as the EmailOutbox model
+const RETENTION_DAYS = parseInt(process.env.EMAIL_OUTBOX_RETENTION_DAYS) || 30;
+
+const run = async () => {
+  mongoose.set("strictQuery", true);
+  await mongoose.connect(process.env.MONGODB_URL);
+
+  // Counted from when delivery ended: sentAt for sent emails, the last update for failed ones
+  const result = await EmailOutbox.updateMany(
+    { status: { $in: ["sent", "failed"] }, expireAt: { $exists: false } },
+    [
+      {
+        $set: {
+          expireAt: {
+            $add: [{ $ifNull: ["$sentAt", "$updatedAt"] }, RETENTION_DAYS * 24 * 60 * 60 * 1000],
+          },
+        },
+      },
+    ]
+  );
+
+  // Drops the old sentAt TTL index and creates the expireAt one
+  const dropped = await EmailOutbox.syncIndexes();
+
+  console.log(
+    `Set expireAt on ${result.modifiedCount} email(s)` +
+      (dropped.length ? `, dropped indexes: ${dropped.join(", ")}` : "")
+  );
+};
+
+run()
+  .catch((err) => {
+    console.error("Email outbox retention migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
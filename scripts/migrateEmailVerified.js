@@ -0,0 +1,33 @@
+/**
+ * Migration: set emailVerified on users created before email verification existed
+ * By default existing users are treated as verified. With --require-verification
+ * they are marked unverified and must verify via POST /api/auth/verify-email/resend
+ * Usage: npm run migrate:email-verified [-- --require-verification]
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../model/User");
+
+const requireVerification = process.argv.includes("--require-verification");
+
+const run = async () => {
+  mongoose.set("strictQuery", true);
+  await mongoose.connect(process.env.MONGODB_URL);
+
+  // Use the raw collection: mongoose would apply the default (false) to missing fields
+  const result = await User.collection.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: !requireVerification } }
+  );
+
+  console.log(
+    `Marked ${result.modifiedCount} existing user(s) as ${requireVerification ? "unverified" : "verified"}`
+  );
+};
+
+run()
+  .catch((err) => {
+    console.error("Email verification migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,44 @@
+/**
+ * Migration: create Favorite entries for existing Listing.likes
+ * The current rent is recorded as the saved price
+ * Usage: npm run migrate:favorites
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Listing = require("../model/Listing");
+const Favorite = require("../model/Favorite");
+
+const run = async () => {
+  mongoose.set("strictQuery", true);
+  await mongoose.connect(process.env.MONGODB_URL);
+
+  await Favorite.createIndexes();
+
+  const listings = await Listing.find(
+    { "likes.0": { $exists: true } },
+    { likes: 1, rentPerMonth: 1 }
+  ).lean();
+
+  let created = 0;
+  for (const listing of listings) {
+    const operations = listing.likes.map((userId) => ({
+      updateOne: {
+        filter: { user: userId, listing: listing._id },
+        update: { $setOnInsert: { savedPrice: listing.rentPerMonth } },
+        upsert: true,
+      },
+    }));
+
+    const result = await Favorite.bulkWrite(operations, { ordered: false });
+    created += result.upsertedCount;
+  }
+
+  console.log(`Created ${created} favorite(s) from ${listings.length} liked listing(s)`);
+};
+
+run()
+  .catch((err) => {
+    console.error("Favorites migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,50 @@
+/**
+ * Migration: convert plain string image urls into image objects
+ * - Listing.images: ["url"] -> [{ url }]
+ * - User.image: "url" -> { url }
+ * Usage: npm run migrate:images
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Listing = require("../model/Listing");
+const User = require("../model/User");
+
+const run = async () => {
+  mongoose.set("strictQuery", true);
+  await mongoose.connect(process.env.MONGODB_URL);
+
+  // Use the raw collections: legacy documents don't match the current schema
+  const listings = await Listing.collection
+    .find({ images: { $type: "string" } })
+    .project({ images: 1 })
+    .toArray();
+
+  for (const listing of listings) {
+    const images = (listing.images || []).map((image) =>
+      typeof image === "string" ? { url: image } : image
+    );
+
+    await Listing.collection.updateOne({ _id: listing._id }, { $set: { images } });
+  }
+
+  const users = await User.collection
+    .find({ image: { $type: "string" } })
+    .project({ image: 1 })
+    .toArray();
+
+  for (const user of users) {
+    await User.collection.updateOne(
+      { _id: user._id },
+      { $set: { image: { url: user.image } } }
+    );
+  }
+
+  console.log(`Migrated images for ${listings.length} listing(s) and ${users.length} user(s)`);
+};
+
+run()
+  .catch((err) => {
+    console.error("Image migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
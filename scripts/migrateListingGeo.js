@@ -0,0 +1,25 @@
+/**
+ * Migration: populate Listing.location.geo from location.coordinates
+ * Usage: npm run migrate:listing-geo
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Listing = require("../model/Listing");
+
+const run = async () => {
+  mongoose.set("strictQuery", true);
+  await mongoose.connect(process.env.MONGODB_URL);
+
+  // Make sure the 2dsphere index exists before geo queries run
+  await Listing.createIndexes();
+
+  const migrated = await Listing.syncGeoPoints();
+  console.log(`Migrated ${migrated} listing(s) to GeoJSON location`);
+};
+
+run()
+  .catch((err) => {
+    console.error("Listing geo migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,44 @@
+/**
+ * Migration: keep admin actions in the audit trail when old security events are removed
+ * Sets expireAt on existing events that are not admin actions, then replaces the old
+ * TTL index on createdAt (which also removed admin actions) with the one on expireAt
+ * Until it runs, admin actions older than SECURITY_EVENT_RETENTION_DAYS are still removed
+ * Usage: npm run migrate:security-event-retention
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const SecurityEvent = require("../model/SecurityEvent");
+
+// Same setting and default as the SecurityEvent model
+const SECURITY_EVENT_RETENTION_DAYS = parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS) || 90;
+
+const run = async () => {
+  mongoose.set("strictQuery", true);
+  await mongoose.connect(process.env.MONGODB_URL);
+
+  const result = await SecurityEvent.updateMany(
+    { actor: { $exists: false }, expireAt: { $exists: false } },
+    [
+      {
+        $set: {
+          expireAt: { $add: ["$createdAt", SECURITY_EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000] },
+        },
+      },
+    ]
+  );
+
+  // Drops the old createdAt TTL index and creates the expireAt one
+  const dropped = await SecurityEvent.syncIndexes();
+
+  console.log(
+    `Set expireAt on ${result.modifiedCount} security event(s)` +
+      (dropped.length ? `, dropped indexes: ${dropped.join(", ")}` : "")
+  );
+};
+
+run()
+  .catch((err) => {
+    console.error("Security event retention migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,41 @@
+/**
+ * Migration: fill deviceInfo on active sessions created before user-agent parsing existed
+ * Usage: npm run migrate:session-devices
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Session = require("../model/Session");
+const { parseUserAgent } = require("../utils/userAgent");
+
+const run = async () => {
+  mongoose.set("strictQuery", true);
+  await mongoose.connect(process.env.MONGODB_URL);
+
+  const cursor = Session.find(
+    {
+      isActive: true,
+      expiresAt: { $gt: new Date() },
+      "deviceInfo.browser": { $exists: false },
+      "deviceInfo.os": { $exists: false },
+    },
+    { userAgent: 1 }
+  ).cursor();
+
+  let updated = 0;
+  for (let session = await cursor.next(); session; session = await cursor.next()) {
+    const deviceInfo = parseUserAgent(session.userAgent);
+    if (!deviceInfo.browser && !deviceInfo.os && !deviceInfo.device) continue;
+
+    await Session.updateOne({ _id: session._id }, { $set: { deviceInfo } });
+    updated += 1;
+  }
+
+  console.log(`Filled device info on ${updated} active session(s)`);
+};
+
+run()
+  .catch((err) => {
+    console.error("Session device migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
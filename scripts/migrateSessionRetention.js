@@ -0,0 +1,28 @@
+/**
+ * Migration: rebuild session indexes so expired sessions are kept as sign-in history
+ * Replaces the old TTL index (removed at expiry) with one that keeps sessions for
+ * SESSION_HISTORY_DAYS, and drops the separate non-TTL expiresAt index
+ * Run it before starting a new version: until then the server stops at startup with IndexOptionsConflict
+ * Run it again whenever SESSION_HISTORY_DAYS changes
+ * Usage: npm run migrate:session-retention
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Session = require("../model/Session");
+
+const run = async () => {
+  mongoose.set("strictQuery", true);
+  await mongoose.connect(process.env.MONGODB_URL);
+
+  // Drops indexes that differ from the schema (including TTL options) and creates the missing ones
+  const dropped = await Session.syncIndexes();
+
+  console.log(`Session indexes synced${dropped.length ? `, dropped: ${dropped.join(", ")}` : ""}`);
+};
+
+run()
+  .catch((err) => {
+    console.error("Session retention migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,24 @@
+const { escapeHtml, layout } = require("./layout");
+
+// @desc Sent when an admin suspends an account
+// data: { firstname }
+module.exports = {
+  subject: () => "Your account has been suspended",
+
+  text: ({ firstname }) => `Hi ${firstname},
+
+Your Boarding account has been suspended by an administrator.
+While suspended you cannot sign in, post listings or send messages.
+
+If you believe this is a mistake, please contact support.
+`,
+
+  html: ({ firstname }) =>
+    layout(
+      "Your account has been suspended",
+      `<p>Hi ${escapeHtml(firstname)},</p>
+      <p>Your Boarding account has been suspended by an administrator.
+      While suspended you cannot sign in, post listings or send messages.</p>
+      <p>If you believe this is a mistake, please contact support.</p>`
+    ),
+};
@@ -0,0 +1,37 @@
+/**
+ * Email templates
+ * Each template exports subject(data), text(data) and html(data)
+ */
+const templates = {
+  welcome: require("./welcome"),
+  verify_email: require("./verifyEmail"),
+  password_changed: require("./passwordChanged"),
+  password_reset: require("./passwordReset"),
+  listing_approved: require("./listingApproved"),
+  listing_rejected: require("./listingRejected"),
+  account_suspended: require("./accountSuspended"),
+  two_factor_enabled: require("./twoFactorEnabled"),
+  two_factor_reset: require("./twoFactorReset"),
+  new_sign_in: require("./newSignIn"),
+};
+
+/**
+ * Render a template
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @returns {Object} - { subject, text, html }
+ */
+const renderEmail = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  return {
+    subject: template.subject(data),
+    text: template.text(data),
+    html: template.html(data),
+  };
+};
+
+module.exports = { EMAIL_TEMPLATES: Object.keys(templates), renderEmail };
@@ -0,0 +1,42 @@
+/**
+ * Shared email layout and helpers
+ */
+
+// Frontend base url used for links in emails
+const CLIENT_URL = (process.env.CLIENT_URL || "http://localhost:3000").replace(/\/$/, "");
+
+// Escape a value for safe use in HTML
+const escapeHtml = (value) =>
+  String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Wrap an HTML body in the common layout
+ * @param {string} title - Heading shown at the top of the email
+ * @param {string} body - Inner HTML (values must already be escaped)
+ * @returns {string} - Full HTML document
+ */
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="margin:0;padding:24px;background:#f5f5f5;font-family:Arial,Helvetica,sans-serif;color:#222;">
+    <div style="max-width:560px;margin:0 auto;background:#fff;border-radius:8px;padding:24px;">
+      <h2 style="margin-top:0;">${escapeHtml(title)}</h2>
+      ${body}
+      <p style="margin-top:32px;font-size:12px;color:#888;">This is an automated message, please do not reply.</p>
+    </div>
+  </body>
+</html>`;
+
+// Render a call to action button
+const button = (url, label) =>
+  `<p><a href="${escapeHtml(url)}" style="display:inline-block;padding:10px 18px;background:#2563eb;color:#fff;text-decoration:none;border-radius:4px;">${escapeHtml(label)}</a></p>`;
+
+module.exports = { CLIENT_URL, escapeHtml, layout, button };
@@ -0,0 +1,24 @@
+const { CLIENT_URL, escapeHtml, layout, button } = require("./layout");
+
+// @desc Sent when an admin publishes a listing
+// data: { firstname, listingId, title, expiresAt }
+module.exports = {
+  subject: ({ title }) => `Your listing "${title}" is now live`,
+
+  text: ({ firstname, listingId, title, expiresAt }) => `Hi ${firstname},
+
+Good news! Your listing "${title}" was approved and is now published.
+It will stay online until ${new Date(expiresAt).toDateString()}.
+
+View it here: ${CLIENT_URL}/listings/${listingId}
+`,
+
+  html: ({ firstname, listingId, title, expiresAt }) =>
+    layout(
+      "Your listing is now live",
+      `<p>Hi ${escapeHtml(firstname)},</p>
+      <p>Good news! Your listing <strong>${escapeHtml(title)}</strong> was approved and is now published.
+      It will stay online until ${escapeHtml(new Date(expiresAt).toDateString())}.</p>
+      ${button(`${CLIENT_URL}/listings/${listingId}`, "View listing")}`
+    ),
+};
@@ -0,0 +1,25 @@
+const { CLIENT_URL, escapeHtml, layout, button } = require("./layout");
+
+// @desc Sent when an admin rejects a listing
+// data: { firstname, listingId, title, rejectionReason }
+module.exports = {
+  subject: ({ title }) => `Your listing "${title}" was not approved`,
+
+  text: ({ firstname, listingId, title, rejectionReason }) => `Hi ${firstname},
+
+Your listing "${title}" was not approved.
+${rejectionReason ? `Reason: ${rejectionReason}\n` : ""}
+You can update the listing and it will be reviewed again:
+${CLIENT_URL}/listings/${listingId}
+`,
+
+  html: ({ firstname, listingId, title, rejectionReason }) =>
+    layout(
+      "Your listing was not approved",
+      `<p>Hi ${escapeHtml(firstname)},</p>
+      <p>Your listing <strong>${escapeHtml(title)}</strong> was not approved.</p>
+      ${rejectionReason ? `<p><strong>Reason:</strong> ${escapeHtml(rejectionReason)}</p>` : ""}
+      <p>You can update the listing and it will be reviewed again.</p>
+      ${button(`${CLIENT_URL}/listings/${listingId}`, "Edit listing")}`
+    ),
+};
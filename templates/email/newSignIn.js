@@ -0,0 +1,34 @@
+const { CLIENT_URL, escapeHtml, layout, button } = require("./layout");
+
+// @desc Sent when a login comes from a new country or device
+// data: { firstname, device, location, ipAddress, signedInAt, newCountry, newDevice }
+module.exports = {
+  subject: () => "New sign-in to your account",
+
+  text: ({ firstname, device, location, ipAddress, signedInAt, newCountry }) => `Hi ${firstname},
+
+Your Boarding account was just signed in to from ${newCountry ? "a new country" : "a new device"}.
+
+Device: ${device}
+Location: ${location}
+IP address: ${ipAddress}
+Time: ${new Date(signedInAt).toUTCString()}
+
+If this was you, you can ignore this email. If not, log out the session from ${CLIENT_URL}/account/security and change your password immediately.
+`,
+
+  html: ({ firstname, device, location, ipAddress, signedInAt, newCountry }) =>
+    layout(
+      "New sign-in to your account",
+      `<p>Hi ${escapeHtml(firstname)},</p>
+      <p>Your Boarding account was just signed in to from ${newCountry ? "a new country" : "a new device"}.</p>
+      <ul>
+        <li>Device: <strong>${escapeHtml(device)}</strong></li>
+        <li>Location: <strong>${escapeHtml(location)}</strong></li>
+        <li>IP address: ${escapeHtml(ipAddress)}</li>
+        <li>Time: ${escapeHtml(new Date(signedInAt).toUTCString())}</li>
+      </ul>
+      <p>If this was you, you can ignore this email. If not, log out the session and change your password immediately.</p>
+      ${button(`${CLIENT_URL}/account/security`, "Review your sessions")}`
+    ),
+};
@@ -0,0 +1,24 @@
+const { escapeHtml, layout } = require("./layout");
+
+// @desc Sent after the password was changed
+// data: { firstname, changedAt, ipAddress }
+module.exports = {
+  subject: () => "Your password was changed",
+
+  text: ({ firstname, changedAt, ipAddress }) => `Hi ${firstname},
+
+The password of your Boarding account was changed on ${new Date(changedAt).toUTCString()}${ipAddress ? ` from IP ${ipAddress}` : ""}.
+You have been logged out on all devices.
+
+If you did not make this change, reset your password immediately and contact support.
+`,
+
+  html: ({ firstname, changedAt, ipAddress }) =>
+    layout(
+      "Your password was changed",
+      `<p>Hi ${escapeHtml(firstname)},</p>
+      <p>The password of your Boarding account was changed on <strong>${escapeHtml(new Date(changedAt).toUTCString())}</strong>${ipAddress ? ` from IP ${escapeHtml(ipAddress)}` : ""}.
+      You have been logged out on all devices.</p>
+      <p>If you did not make this change, reset your password immediately and contact support.</p>`
+    ),
+};
@@ -0,0 +1,27 @@
+const { escapeHtml, layout, button } = require("./layout");
+
+// @desc Sent when a password reset is requested
+// data: { firstname, url, expiresAt }
+module.exports = {
+  subject: () => "Reset your password",
+
+  text: ({ firstname, url, expiresAt }) => `Hi ${firstname},
+
+We received a request to reset the password of your Boarding account.
+Open this link to choose a new password:
+${url}
+
+The link expires on ${new Date(expiresAt).toUTCString()} and can only be used once.
+If you did not request a password reset, you can ignore this email. Your password will not change.
+`,
+
+  html: ({ firstname, url, expiresAt }) =>
+    layout(
+      "Reset your password",
+      `<p>Hi ${escapeHtml(firstname)},</p>
+      <p>We received a request to reset the password of your Boarding account.</p>
+      ${button(url, "Choose a new password")}
+      <p style="font-size:13px;color:#555;">The link expires on ${escapeHtml(new Date(expiresAt).toUTCString())} and can only be used once.
+      If you did not request a password reset, you can ignore this email. Your password will not change.</p>`
+    ),
+};
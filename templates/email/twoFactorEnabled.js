@@ -0,0 +1,24 @@
+const { escapeHtml, layout } = require("./layout");
+
+// @desc Sent after two-factor authentication was turned on
+// data: { firstname, enabledAt, ipAddress }
+module.exports = {
+  subject: () => "Two-factor authentication was turned on",
+
+  text: ({ firstname, enabledAt, ipAddress }) => `Hi ${firstname},
+
+Two-factor authentication was turned on for your Boarding account on ${new Date(enabledAt).toUTCString()}${ipAddress ? ` from IP ${ipAddress}` : ""}.
+From now on you will be asked for a code from your authenticator app when you sign in.
+
+If you did not do this, reset your password immediately and contact support.
+`,
+
+  html: ({ firstname, enabledAt, ipAddress }) =>
+    layout(
+      "Two-factor authentication was turned on",
+      `<p>Hi ${escapeHtml(firstname)},</p>
+      <p>Two-factor authentication was turned on for your Boarding account on <strong>${escapeHtml(new Date(enabledAt).toUTCString())}</strong>${ipAddress ? ` from IP ${escapeHtml(ipAddress)}` : ""}.
+      From now on you will be asked for a code from your authenticator app when you sign in.</p>
+      <p>If you did not do this, reset your password immediately and contact support.</p>`
+    ),
+};
@@ -0,0 +1,24 @@
+const { escapeHtml, layout } = require("./layout");
+
+// @desc Sent when an admin resets two-factor authentication for an account
+// data: { firstname, required }
+module.exports = {
+  subject: () => "Two-factor authentication was reset",
+
+  text: ({ firstname, required }) => `Hi ${firstname},
+
+Two-factor authentication on your Boarding account was reset by an administrator and you have been logged out on all devices.
+${required ? "You will be asked to set it up again the next time you sign in." : "You can set it up again from your account security settings."}
+
+If you did not ask for this, please contact support.
+`,
+
+  html: ({ firstname, required }) =>
+    layout(
+      "Two-factor authentication was reset",
+      `<p>Hi ${escapeHtml(firstname)},</p>
+      <p>Two-factor authentication on your Boarding account was reset by an administrator and you have been logged out on all devices.
+      ${required ? "You will be asked to set it up again the next time you sign in." : "You can set it up again from your account security settings."}</p>
+      <p>If you did not ask for this, please contact support.</p>`
+    ),
+};
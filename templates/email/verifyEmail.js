@@ -0,0 +1,26 @@
+const { escapeHtml, layout, button } = require("./layout");
+
+// @desc Sent after signup, email change or on request to confirm the address
+// data: { firstname, url, expiresAt }
+module.exports = {
+  subject: () => "Verify your email address",
+
+  text: ({ firstname, url, expiresAt }) => `Hi ${firstname},
+
+Please confirm your email address by opening this link:
+${url}
+
+The link expires on ${new Date(expiresAt).toUTCString()} and can only be used once.
+If you did not create a Boarding account, you can ignore this email.
+`,
+
+  html: ({ firstname, url, expiresAt }) =>
+    layout(
+      "Verify your email address",
+      `<p>Hi ${escapeHtml(firstname)},</p>
+      <p>Please confirm your email address to start posting listings and reviews.</p>
+      ${button(url, "Verify email")}
+      <p style="font-size:13px;color:#555;">The link expires on ${escapeHtml(new Date(expiresAt).toUTCString())} and can only be used once.
+      If you did not create a Boarding account, you can ignore this email.</p>`
+    ),
+};
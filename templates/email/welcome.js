@@ -0,0 +1,24 @@
+const { CLIENT_URL, escapeHtml, layout, button } = require("./layout");
+
+// @desc Sent after signup
+// data: { firstname }
+module.exports = {
+  subject: () => "Welcome to Boarding",
+
+  text: ({ firstname }) => `Hi ${firstname},
+
+Welcome to Boarding! Your account has been created.
+
+You can now browse listings, save searches and message owners:
+${CLIENT_URL}
+`,
+
+  html: ({ firstname }) =>
+    layout(
+      "Welcome to Boarding",
+      `<p>Hi ${escapeHtml(firstname)},</p>
+      <p>Welcome to Boarding! Your account has been created.</p>
+      <p>You can now browse listings, save searches and message owners.</p>
+      ${button(CLIENT_URL, "Start browsing")}`
+    ),
+};
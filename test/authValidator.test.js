@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validationResult } = require("express-validator");
+
+const { resetPasswordValidator } = require("../utils/validators/authValidator");
+
+const TOKEN = "a".repeat(64);
+
+// Helper function to run the validation chains (without the result middleware) on a body
+const validate = async (body) => {
+  const req = { body };
+  const chains = resetPasswordValidator.filter((item) => typeof item.run === "function");
+  await Promise.all(chains.map((chain) => chain.run(req)));
+  return validationResult(req).mapped();
+};
+
+test("resetPasswordValidator accepts a reset token and a password", async () => {
+  assert.deepEqual(await validate({ token: TOKEN, newPassword: "N3w-Passw0rd!" }), {});
+});
+
+test("resetPasswordValidator rejects arrays for token and newPassword", async () => {
+  const errors = await validate({ token: [TOKEN], newPassword: ["N3w-Passw0rd!"] });
+
+  assert.equal(errors.token.msg, "token must be a valid reset token");
+  assert.equal(errors.newPassword.msg, "newPassword must be a string");
+});
+
+test("resetPasswordValidator rejects malformed tokens", async () => {
+  for (const token of [undefined, "", "xyz", "a".repeat(63), { $ne: null }]) {
+    const errors = await validate({ token, newPassword: "N3w-Passw0rd!" });
+    assert.equal(errors.token.msg, token === "" ? "token is not allowed to be empty" : "token must be a valid reset token");
+  }
+});
@@ -0,0 +1,100 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  MAX_MAP_LATITUDE,
+  parseGeoParams,
+  parseBoundingBox,
+  distanceKm,
+  roundDistance,
+} = require("../utils/geo");
+
+// Helper function to get the [min, max] longitude of every polygon in a geometry
+const longitudeRanges = (geometry) => {
+  const polygons = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  return polygons.map(([ring]) => {
+    const lngs = ring.map(([lng]) => lng);
+    return [Math.min(...lngs), Math.max(...lngs)];
+  });
+};
+
+describe("parseGeoParams", () => {
+  it("returns no point when lat and lng are missing", () => {
+    assert.deepEqual(parseGeoParams({}), { point: null });
+  });
+
+  it("builds a GeoJSON point with an optional radius", () => {
+    assert.deepEqual(parseGeoParams({ lat: "6.9", lng: "79.86", radiusKm: "5" }), {
+      point: { type: "Point", coordinates: [79.86, 6.9] },
+      radiusKm: 5,
+    });
+  });
+
+  it("rejects incomplete or out of range values", () => {
+    assert.ok(parseGeoParams({ radiusKm: "5" }).error);
+    assert.ok(parseGeoParams({ lat: "6.9" }).error);
+    assert.ok(parseGeoParams({ lat: "91", lng: "0" }).error);
+    assert.ok(parseGeoParams({ lat: "6.9", lng: "79.86", radiusKm: "0" }).error);
+    assert.ok(parseGeoParams({ lat: "6.9", lng: "79.86", radiusKm: "501" }).error);
+  });
+});
+
+describe("parseBoundingBox", () => {
+  it("builds a closed polygon for a small viewport", () => {
+    const { geometry } = parseBoundingBox("79.80,6.85,79.95,6.98");
+
+    assert.equal(geometry.type, "Polygon");
+    const [ring] = geometry.coordinates;
+    assert.deepEqual(ring[0], [79.8, 6.85]);
+    assert.deepEqual(ring[ring.length - 1], ring[0]);
+    assert.deepEqual(longitudeRanges(geometry), [[79.8, 79.95]]);
+  });
+
+  it("splits long edges so they follow the parallels", () => {
+    const { geometry } = parseBoundingBox("0,10,60,20");
+    const [ring] = geometry.coordinates;
+
+    ring.slice(1).forEach(([lng], index) => {
+      assert.ok(Math.abs(lng - ring[index][0]) <= 10);
+    });
+  });
+
+  it("splits a viewport crossing the antimeridian", () => {
+    const { geometry } = parseBoundingBox("170,-20,-170,10");
+
+    assert.equal(geometry.type, "MultiPolygon");
+    assert.deepEqual(longitudeRanges(geometry), [[170, 180], [-180, -170]]);
+  });
+
+  it("covers the whole world with polygons smaller than a hemisphere", () => {
+    const { geometry } = parseBoundingBox("-180,-90,180,90");
+    const ranges = longitudeRanges(geometry);
+
+    assert.deepEqual(ranges, [[-180, -90], [-90, 0], [0, 90], [90, 180]]);
+    geometry.coordinates.forEach(([ring]) => {
+      ring.forEach(([, lat]) => assert.ok(Math.abs(lat) <= MAX_MAP_LATITUDE));
+    });
+  });
+
+  it("rejects malformed or empty boxes", () => {
+    assert.ok(parseBoundingBox(undefined).error);
+    assert.ok(parseBoundingBox("1,2,3").error);
+    assert.ok(parseBoundingBox("a,b,c,d").error);
+    assert.ok(parseBoundingBox("10,0,10,5").error);
+    assert.ok(parseBoundingBox("0,5,10,5").error);
+    assert.ok(parseBoundingBox("0,-10,190,10").error);
+    assert.ok(parseBoundingBox("0,86,10,89").error);
+  });
+});
+
+describe("distanceKm", () => {
+  it("computes great-circle distances", () => {
+    const origin = { type: "Point", coordinates: [0, 0] };
+    const east = { type: "Point", coordinates: [1, 0] };
+    const north = { type: "Point", coordinates: [0, 1] };
+
+    assert.equal(distanceKm(origin, origin), 0);
+    // One degree along a great circle is 2 * PI * 6378.1 / 360 km
+    assert.equal(roundDistance(distanceKm(origin, east)), 111.32);
+    assert.equal(roundDistance(distanceKm(origin, north)), 111.32);
+  });
+});
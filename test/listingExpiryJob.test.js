@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const Listing = require("../model/Listing");
+const notifications = require("../utils/notifications");
+
+// The job picks up notify when it is loaded, so it is replaced first
+const notified = [];
+notifications.notify = async (userId, type, payload) => {
+  if (payload.data.listingId === "broken") throw new Error("delivery failed");
+  notified.push(payload.data.listingId);
+};
+
+const { runExpiryReminders } = require("../jobs/listingExpiryJob");
+
+test("runExpiryReminders keeps going after a failed reminder and counts the sent ones", async (t) => {
+  const expiresAt = new Date("2024-02-01T00:00:00.000Z");
+  const listings = ["first", "broken", "last"].map((id) => ({
+    _id: id,
+    author: "507f1f77bcf86cd799439011",
+    title: `Listing ${id}`,
+    expiresAt,
+  }));
+
+  const marked = [];
+  t.mock.method(Listing, "findListingsNeedingExpiryReminder", async () => listings);
+  t.mock.method(Listing, "updateOne", async (filter) => marked.push(filter._id));
+  t.mock.method(console, "error", () => {});
+
+  const reminded = await runExpiryReminders();
+
+  assert.equal(reminded, 2);
+  assert.deepEqual(notified, ["first", "last"]);
+  // The failed one stays unmarked so the next run retries it
+  assert.deepEqual(marked, ["first", "last"]);
+  assert.match(console.error.mock.calls[0].arguments[0], /listing broken/);
+});
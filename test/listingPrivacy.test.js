@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { applyContactPrivacy } = require("../utils/listingPrivacy");
+
+const OWNER_ID = "507f1f77bcf86cd799439011";
+
+// Helper function to build a listing whose owner hides their phone numbers
+const buildListing = (author) => ({
+  hideContactPhone: true,
+  contactPhone: "0771234567",
+  contactPhoneSecondary: "0112345678",
+  author,
+});
+
+test("applyContactPrivacy hides phone numbers from other users and visitors", () => {
+  const otherUser = { _id: "507f1f77bcf86cd799439099", role: "user" };
+
+  for (const user of [otherUser, undefined]) {
+    const listing = buildListing({ _id: OWNER_ID, firstname: "John", phone: "0779999999" });
+    applyContactPrivacy(listing, user);
+
+    assert.equal(listing.contactPhone, undefined);
+    assert.equal(listing.contactPhoneSecondary, undefined);
+    assert.equal(listing.author.phone, undefined);
+    assert.equal(listing.author.firstname, "John");
+  }
+});
+
+test("applyContactPrivacy works with an unpopulated author", () => {
+  const listing = buildListing(OWNER_ID);
+  applyContactPrivacy(listing, null);
+
+  assert.equal(listing.contactPhone, undefined);
+  assert.equal(listing.author, OWNER_ID);
+});
+
+test("applyContactPrivacy keeps phone numbers for the owner and admins", () => {
+  for (const user of [{ _id: OWNER_ID, role: "user" }, { _id: "507f1f77bcf86cd799439099", role: "admin" }]) {
+    const listing = buildListing({ _id: OWNER_ID, phone: "0779999999" });
+    applyContactPrivacy(listing, user);
+
+    assert.equal(listing.contactPhone, "0771234567");
+    assert.equal(listing.author.phone, "0779999999");
+  }
+});
+
+test("applyContactPrivacy leaves listings that don't hide their phone alone", () => {
+  const listing = { ...buildListing({ _id: OWNER_ID }), hideContactPhone: false };
+  applyContactPrivacy(listing, undefined);
+
+  assert.equal(listing.contactPhone, "0771234567");
+});
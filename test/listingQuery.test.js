@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const Listing = require("../model/Listing");
+const { buildListingQuery, buildListingCountQuery } = require("../utils/listingQuery");
+
+const NOW = new Date("2024-01-15T00:00:00.000Z");
+const POINT = { type: "Point", coordinates: [79.8612, 6.9271] };
+
+// Helper function to build a listing that passes validation
+const buildListing = (location) =>
+  new Listing({
+    title: "Room near campus",
+    description: "Quiet room with attached bathroom",
+    propertyType: "room",
+    location: { district: "Colombo", city: "Colombo", ...location },
+    rentPerMonth: 25000,
+    deposit: 50000,
+    bedrooms: 1,
+    bathrooms: 1,
+    contactPhone: "0771234567",
+    author: "507f1f77bcf86cd799439011",
+  });
+
+// Helper function to run the save hooks that fill in location.geo
+const runSaveHooks = (doc) =>
+  new Promise((resolve, reject) =>
+    Listing.schema.s.hooks.execPre("save", doc, [], (error) => (error ? reject(error) : resolve()))
+  );
+
+test("buildListingCountQuery leaves non-distance sorts unchanged", () => {
+  const { query } = buildListingQuery({ propertyType: "room" }, { now: NOW });
+
+  assert.equal(buildListingCountQuery(query), query);
+  assert.equal(buildListingCountQuery(query, { distanceSort: false }), query);
+});
+
+test("buildListingCountQuery only counts listings with a geo point when sorting by distance", async () => {
+  const { query } = buildListingQuery({}, { point: POINT, now: NOW });
+  const countQuery = buildListingCountQuery(query, { distanceSort: true });
+
+  assert.deepEqual(countQuery["location.geo.coordinates"], { $exists: true });
+  assert.equal(query["location.geo.coordinates"], undefined);
+
+  const located = buildListing({ coordinates: { lat: 6.9271, lng: 79.8612 } });
+  const unlocated = buildListing({});
+  await runSaveHooks(located);
+  await runSaveHooks(unlocated);
+
+  // $geoNear only returns the first one, and so does the count
+  assert.deepEqual(located.toObject().location.geo.coordinates, [79.8612, 6.9271]);
+  assert.equal((unlocated.toObject().location.geo || {}).coordinates, undefined);
+});
+
+test("buildListingCountQuery keeps the radius filter as the geo condition", () => {
+  const { query } = buildListingQuery({}, { point: POINT, radiusKm: 5, now: NOW });
+  const countQuery = buildListingCountQuery(query, { distanceSort: true });
+
+  assert.equal(countQuery, query);
+  assert.ok(countQuery["location.geo"].$geoWithin);
+});
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  calculateExpirationDate,
+  getStatusChangeError,
+  publishListing,
+} = require("../utils/listingStatus");
+
+test("calculateExpirationDate clamps to the last day of shorter months", () => {
+  assert.deepEqual(calculateExpirationDate(new Date(2024, 0, 31, 15), 1), new Date(2024, 1, 29));
+  assert.deepEqual(calculateExpirationDate(new Date(2024, 0, 15, 15), 3), new Date(2024, 3, 15));
+});
+
+test("getStatusChangeError rejects a change to the current status", () => {
+  assert.equal(getStatusChangeError({ status: "published" }, "published"), "Listing is already published");
+  assert.equal(getStatusChangeError({ status: "rejected" }, "rejected"), "Listing is already rejected");
+  assert.equal(getStatusChangeError({ status: "pending" }, "published"), null);
+  assert.equal(getStatusChangeError({ status: "published" }, "rejected"), null);
+});
+
+test("getStatusChangeError sends expired listings to the renewal flow", () => {
+  assert.match(getStatusChangeError({ status: "expired" }, "published"), /renewal request/);
+  assert.equal(getStatusChangeError({ status: "expired" }, "rejected"), null);
+});
+
+test("publishListing records initial only on the first publish", () => {
+  const listing = { status: "pending", listingDuration: 2, publishHistory: [] };
+  const now = new Date(2024, 0, 10, 12);
+
+  publishListing(listing, "admin1", now);
+
+  assert.equal(listing.status, "published");
+  assert.equal(listing.isAvailable, true);
+  assert.deepEqual(listing.publishedAt, now);
+  assert.deepEqual(listing.expiresAt, new Date(2024, 2, 10));
+  assert.deepEqual(listing.publishHistory, [
+    { type: "initial", months: 2, startsAt: now, expiresAt: new Date(2024, 2, 10), approvedBy: "admin1" },
+  ]);
+
+  // Rejected after publishing, then published again
+  listing.status = "rejected";
+  const later = new Date(2024, 1, 1, 12);
+  publishListing(listing, "admin2", later);
+
+  assert.deepEqual(
+    listing.publishHistory.map((entry) => entry.type),
+    ["initial", "republish"]
+  );
+  assert.deepEqual(listing.expiresAt, new Date(2024, 3, 1));
+});
+
+test("publishListing defaults to a 3 month period", () => {
+  const listing = { status: "pending", publishHistory: [] };
+  publishListing(listing, "admin1", new Date(2024, 4, 1));
+
+  assert.equal(listing.publishHistory[0].months, 3);
+  assert.deepEqual(listing.expiresAt, new Date(2024, 7, 1));
+});
@@ -0,0 +1,111 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const {
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery,
+  buildLink,
+} = require("../utils/pagination");
+
+// Helper function to build a raw cursor from a payload
+const rawCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+const id = new mongoose.Types.ObjectId();
+
+describe("parsePagination", () => {
+  it("uses defaults for missing or invalid values", () => {
+    assert.deepEqual(parsePagination({}), { page: 1, limit: 20, skip: 0 });
+    assert.deepEqual(parsePagination({ page: "-3", limit: "abc" }), { page: 1, limit: 20, skip: 0 });
+  });
+
+  it("caps the limit and computes skip", () => {
+    assert.deepEqual(parsePagination({ page: "3", limit: "500" }), { page: 3, limit: 100, skip: 200 });
+    assert.deepEqual(parsePagination({ limit: "80" }, { maxLimit: 50 }).limit, 50);
+  });
+});
+
+describe("encodeCursor / decodeCursor", () => {
+  it("round trips date, number and string values", () => {
+    const createdAt = new Date("2024-01-15T10:30:00.000Z");
+    const doc = { _id: id, createdAt, rentPerMonth: 25000, title: "Annex" };
+
+    assert.deepEqual(decodeCursor(encodeCursor(doc, "createdAt")), {
+      field: "createdAt",
+      value: createdAt,
+      id,
+      direction: "next",
+    });
+    assert.equal(decodeCursor(encodeCursor(doc, "rentPerMonth", "prev")).value, 25000);
+    assert.equal(decodeCursor(encodeCursor(doc, "rentPerMonth", "prev")).direction, "prev");
+    assert.equal(decodeCursor(encodeCursor(doc, "title")).value, "Annex");
+  });
+
+  it("rejects garbage", () => {
+    assert.equal(decodeCursor("not-a-cursor"), null);
+    assert.equal(decodeCursor(rawCursor(null)), null);
+    assert.equal(decodeCursor(rawCursor({ k: "createdAt", t: "number", v: 1, id: "nope" })), null);
+  });
+
+  it("rejects operator objects and mismatched value types", () => {
+    const base = { k: "rentPerMonth", id: id.toString() };
+
+    assert.equal(decodeCursor(rawCursor({ ...base, t: "number", v: { $ne: null } })), null);
+    assert.equal(decodeCursor(rawCursor({ ...base, t: "object", v: { $gt: "" } })), null);
+    assert.equal(decodeCursor(rawCursor({ ...base, t: "string", v: ["a"] })), null);
+    assert.equal(decodeCursor(rawCursor({ ...base, t: "number", v: "100" })), null);
+    assert.equal(decodeCursor(rawCursor({ ...base, t: "date", v: "yesterday" })), null);
+    assert.equal(decodeCursor(rawCursor({ ...base, t: "date", v: 1700000000000 })), null);
+  });
+
+  it("rejects a value type that doesn't match the sort field", () => {
+    const types = { rentPerMonth: "number" };
+    const cursor = rawCursor({ k: "rentPerMonth", t: "string", v: "1000", id: id.toString() });
+
+    assert.notEqual(decodeCursor(cursor), null);
+    assert.equal(decodeCursor(cursor, types), null);
+  });
+});
+
+describe("buildCursorQuery", () => {
+  it("returns only the sort for the first page", () => {
+    assert.deepEqual(buildCursorQuery({ createdAt: -1 }, null), {
+      condition: null,
+      sort: { createdAt: -1, _id: -1 },
+    });
+  });
+
+  it("continues after the cursor with _id as tiebreaker", () => {
+    const cursor = { field: "rentPerMonth", value: 1000, id, direction: "next" };
+
+    assert.deepEqual(buildCursorQuery({ rentPerMonth: 1 }, cursor), {
+      condition: {
+        $or: [{ rentPerMonth: { $gt: 1000 } }, { rentPerMonth: 1000, _id: { $gt: id } }],
+      },
+      sort: { rentPerMonth: 1, _id: 1 },
+    });
+  });
+
+  it("flips the order when walking backwards", () => {
+    const cursor = { field: "rentPerMonth", value: 1000, id, direction: "prev" };
+    const { condition, sort } = buildCursorQuery({ rentPerMonth: 1 }, cursor);
+
+    assert.deepEqual(sort, { rentPerMonth: -1, _id: -1 });
+    assert.deepEqual(condition.$or[0], { rentPerMonth: { $lt: 1000 } });
+  });
+});
+
+describe("buildLink", () => {
+  it("keeps the current query and applies changes", () => {
+    const req = {
+      originalUrl: "/api/listings?district=Colombo&cursor=abc",
+      query: { district: "Colombo", cursor: "abc", amenities: ["WiFi", "Parking"] },
+    };
+
+    assert.equal(
+      buildLink(req, { cursor: "def", page: null }),
+      "/api/listings?district=Colombo&cursor=def&amenities=WiFi&amenities=Parking"
+    );
+  });
+});
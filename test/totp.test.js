@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  base32Encode,
+  base32Decode,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+} = require("../utils/totp");
+
+// RFC 6238 appendix B (SHA1), the 8 digit reference codes truncated to our 6 digits
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890", "ascii"));
+const RFC_VECTORS = [
+  [59, "94287082"],
+  [1111111109, "07081804"],
+  [1111111111, "14050471"],
+  [1234567890, "89005924"],
+  [2000000000, "69279037"],
+  [20000000000, "65353130"],
+];
+
+test("base32 round trips and ignores case, padding and spaces", () => {
+  const bytes = Buffer.from("12345678901234567890", "ascii");
+  const encoded = base32Encode(bytes);
+
+  assert.equal(encoded, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+  assert.deepEqual(base32Decode(encoded), bytes);
+  assert.deepEqual(base32Decode("gezd gnbv gy3t qojq gezd gnbv gy3t qojq=="), bytes);
+  assert.throws(() => base32Decode("GEZD1"), /Invalid base32 character/);
+});
+
+test("generateCode matches the RFC 6238 test vectors", () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(generateCode(RFC_SECRET, getTimeStep(seconds * 1000)), code.slice(-6));
+  }
+});
+
+test("verifyCode accepts one step of clock drift and returns the matching step", () => {
+  const timestamp = 1111111111 * 1000;
+  const step = getTimeStep(timestamp);
+
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step), { timestamp }), step);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { timestamp }), step - 1);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { timestamp }), step + 1);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { timestamp }), null);
+});
+
+test("verifyCode rejects reused steps and malformed codes", () => {
+  const timestamp = 1234567890 * 1000;
+  const step = getTimeStep(timestamp);
+  const code = generateCode(RFC_SECRET, step);
+
+  assert.equal(verifyCode(RFC_SECRET, code, { timestamp, afterStep: step }), null);
+  assert.equal(verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { timestamp }), step);
+  assert.equal(verifyCode(RFC_SECRET, "12345", { timestamp }), null);
+  assert.equal(verifyCode(RFC_SECRET, "abcdef", { timestamp }), null);
+  assert.equal(verifyCode(RFC_SECRET, undefined, { timestamp }), null);
+});
+
+test("buildOtpauthUri encodes the label and the code parameters", () => {
+  const uri = buildOtpauthUri("JBSWY3DPEHPK3PXP", "john.doe@example.com", "Boarding");
+
+  assert.equal(
+    uri,
+    "otpauth://totp/Boarding%3Ajohn.doe%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Boarding&algorithm=SHA1&digits=6&period=30"
+  );
+});
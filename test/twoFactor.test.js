@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.TWO_FACTOR_ENCRYPTION_KEY = "test-two-factor-key";
+
+const { encryptSecret, decryptSecret, generateRecoveryCodes } = require("../utils/twoFactor");
+
+test("encryptSecret round trips and uses a fresh iv every time", () => {
+  const secret = "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP";
+  const first = encryptSecret(secret);
+  const second = encryptSecret(secret);
+
+  assert.match(first, /^[\w-]+\.[\w-]+\.[\w-]+$/);
+  assert.notEqual(first, second);
+  assert.equal(decryptSecret(first), secret);
+  assert.equal(decryptSecret(second), secret);
+});
+
+test("decryptSecret rejects a tampered payload", () => {
+  const [iv, tag, encrypted] = encryptSecret("JBSWY3DPEHPK3PXP").split(".");
+  const flipped = Buffer.from(encrypted, "base64url");
+  flipped[0] ^= 1;
+
+  assert.throws(() => decryptSecret([iv, tag, flipped.toString("base64url")].join(".")));
+});
+
+test("generateRecoveryCodes returns 10 unique codes with their hashes", () => {
+  const { codes, hashed } = generateRecoveryCodes();
+
+  assert.equal(codes.length, 10);
+  assert.equal(new Set(codes).size, 10);
+  for (const code of codes) assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+
+  assert.equal(hashed.length, 10);
+  for (const item of hashed) assert.match(item.hash, /^[0-9a-f]{64}$/);
+  assert.ok(!hashed.some((item, index) => item.hash.includes(codes[index])));
+});
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseUserAgent, formatDeviceLabel } = require("../utils/userAgent");
+
+const USER_AGENTS = {
+  chromeWindows:
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+  edgeWindows:
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.91",
+  safariIphone:
+    "Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1",
+  safariMac:
+    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15",
+  chromeAndroidPhone:
+    "Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36",
+  samsungAndroidTablet:
+    "Mozilla/5.0 (Linux; Android 13; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) SamsungBrowser/23.0 Chrome/115.0.0.0 Safari/537.36",
+  firefoxLinux: "Mozilla/5.0 (X11; Ubuntu; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0",
+  googlebot: "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)",
+};
+
+test("parseUserAgent detects browser, OS and device of common clients", () => {
+  assert.deepEqual(parseUserAgent(USER_AGENTS.chromeWindows), {
+    browser: "Chrome",
+    os: "Windows",
+    device: "Desktop",
+  });
+  assert.deepEqual(parseUserAgent(USER_AGENTS.edgeWindows), {
+    browser: "Edge",
+    os: "Windows",
+    device: "Desktop",
+  });
+  assert.deepEqual(parseUserAgent(USER_AGENTS.safariIphone), {
+    browser: "Safari",
+    os: "iOS",
+    device: "Mobile",
+  });
+  assert.deepEqual(parseUserAgent(USER_AGENTS.safariMac), {
+    browser: "Safari",
+    os: "macOS",
+    device: "Desktop",
+  });
+  assert.deepEqual(parseUserAgent(USER_AGENTS.chromeAndroidPhone), {
+    browser: "Chrome",
+    os: "Android",
+    device: "Mobile",
+  });
+  assert.deepEqual(parseUserAgent(USER_AGENTS.samsungAndroidTablet), {
+    browser: "Samsung Internet",
+    os: "Android",
+    device: "Tablet",
+  });
+  assert.deepEqual(parseUserAgent(USER_AGENTS.firefoxLinux), {
+    browser: "Firefox",
+    os: "Linux",
+    device: "Desktop",
+  });
+});
+
+test("parseUserAgent reports bots without a browser", () => {
+  assert.deepEqual(parseUserAgent(USER_AGENTS.googlebot), {
+    browser: undefined,
+    os: undefined,
+    device: "Bot",
+  });
+});
+
+test("parseUserAgent handles tools and missing user agents", () => {
+  assert.deepEqual(parseUserAgent("curl/8.4.0"), { browser: "curl", os: undefined, device: undefined });
+  assert.equal(parseUserAgent("PostmanRuntime/7.36.0").browser, "Postman");
+
+  const empty = { browser: undefined, os: undefined, device: undefined };
+  assert.deepEqual(parseUserAgent(undefined), empty);
+  assert.deepEqual(parseUserAgent(""), empty);
+  assert.deepEqual(parseUserAgent("Unknown"), empty);
+  assert.deepEqual(parseUserAgent(42), empty);
+});
+
+test("formatDeviceLabel uses whatever parts are known", () => {
+  assert.equal(formatDeviceLabel({ browser: "Chrome", os: "Android", device: "Mobile" }), "Chrome on Android");
+  assert.equal(formatDeviceLabel({ browser: "curl" }), "curl");
+  assert.equal(formatDeviceLabel({ os: "Linux", device: "Desktop" }), "Linux");
+  assert.equal(formatDeviceLabel({ device: "Bot" }), "Bot");
+  assert.equal(formatDeviceLabel({}), "Unknown device");
+  assert.equal(formatDeviceLabel(), "Unknown device");
+});
@@ -0,0 +1,136 @@
+/**
+ * Email Utility
+ * Queues templated emails in the persistent outbox and delivers them
+ * through the configured mail transport, retrying failures with backoff
+ */
+
+const EmailOutbox = require("../model/EmailOutbox");
+const mail = require("../config/mail");
+const { renderEmail } = require("../templates/email");
+
+// First retry delay in minutes, doubled after every failed attempt (default: 1 minute)
+const RETRY_BASE_MINUTES = parseInt(process.env.EMAIL_RETRY_BASE_MINUTES) || 1;
+
+// Emails claimed longer ago than this are considered abandoned by a crashed worker
+const SENDING_TIMEOUT_MINUTES = 10;
+
+// Maximum number of emails delivered in one run
+const BATCH_SIZE = 50;
+
+let delivering = false;
+
+// Helper function to claim the next due email
+const claimNextEmail = (now) =>
+  EmailOutbox.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedAt: { $lte: new Date(now.getTime() - SENDING_TIMEOUT_MINUTES * 60 * 1000) } },
+      ],
+    },
+    { $set: { status: "sending", lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+
+// Helper function to drop the rendered body once delivery is over
+// Bodies can contain single-use links (password reset, email verification)
+const clearBody = (email) => {
+  email.html = undefined;
+  email.text = undefined;
+};
+
+// Helper function to deliver a claimed email and record the outcome
+const deliverEmail = async (email) => {
+  try {
+    const { messageId } = await mail.send({
+      from: mail.from,
+      to: email.to,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+    });
+
+    email.status = "sent";
+    email.messageId = messageId;
+    email.sentAt = new Date();
+    email.lastError = undefined;
+    clearBody(email);
+  } catch (error) {
+    email.lastError = error.message;
+
+    if (email.attempts >= email.maxAttempts) {
+      email.status = "failed";
+      clearBody(email);
+      console.error(`Email to ${email.to} (${email.template}) failed permanently:`, error.message);
+    } else {
+      const delayMinutes = RETRY_BASE_MINUTES * 2 ** (email.attempts - 1);
+      email.status = "pending";
+      email.nextAttemptAt = new Date(Date.now() + delayMinutes * 60 * 1000);
+    }
+  }
+
+  email.lockedAt = undefined;
+  await email.save();
+};
+
+/**
+ * Deliver due emails from the outbox
+ * Only one run is active per process at a time
+ * @returns {Promise<number>} - Number of emails attempted
+ */
+const deliverPendingEmails = async () => {
+  if (delivering) return 0;
+  delivering = true;
+
+  let attempted = 0;
+  try {
+    while (attempted < BATCH_SIZE) {
+      const email = await claimNextEmail(new Date());
+      if (!email) break;
+
+      await deliverEmail(email);
+      attempted += 1;
+    }
+  } finally {
+    delivering = false;
+  }
+
+  return attempted;
+};
+
+/**
+ * Render a template and queue it in the outbox, then start delivery
+ * @param {string} to - Recipient email address
+ * @param {string} template - Template name (see templates/email)
+ * @param {Object} data - Template data
+ * @returns {Promise<Object>} - Outbox document
+ */
+const queueEmail = async (to, template, data) => {
+  const email = await EmailOutbox.create({ to, template, ...renderEmail(template, data) });
+
+  // Deliver right away instead of waiting for the next outbox job run
+  deliverPendingEmails().catch((error) =>
+    console.error("Email delivery failed:", error.message)
+  );
+
+  return email;
+};
+
+/**
+ * Queue an email without failing the calling request
+ * Errors are logged, not thrown
+ * @param {string} to - Recipient email address
+ * @param {string} template - Template name
+ * @param {Object} data - Template data
+ */
+const queueEmailInBackground = (to, template, data) => {
+  queueEmail(to, template, data).catch((error) =>
+    console.error(`Queueing ${template} email failed:`, error.message)
+  );
+};
+
+module.exports = {
+  queueEmail,
+  queueEmailInBackground,
+  deliverPendingEmails,
+};
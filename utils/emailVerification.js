@@ -0,0 +1,130 @@
+/**
+ * Email Verification Utility
+ * Issues signed single-use verification links and throttles resends
+ */
+
+const crypto = require("crypto");
+const User = require("../model/User");
+const apiError = require("./apiError");
+const { createEmailVerificationToken, verifyToken } = require("./generateToken");
+const { queueEmail } = require("./email");
+const { CLIENT_URL } = require("../templates/email/layout");
+
+// Seconds a user must wait between verification emails (default: 60 seconds)
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+
+// Maximum verification emails per user in 24 hours (default: 5)
+const MAX_SENDS_PER_DAY = parseInt(process.env.EMAIL_VERIFICATION_MAX_PER_DAY) || 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to hash a nonce before storing it
+const hashNonce = (nonce) => crypto.createHash("sha256").update(nonce).digest("hex");
+
+/**
+ * Check whether a user may be sent another verification email
+ * @param {Object} user - User document
+ * @param {Date} now - Reference time
+ * @returns {Object} - { allowed, retryAfterSeconds }
+ */
+const checkResendThrottle = (user, now = new Date()) => {
+  const state = user.emailVerification || {};
+
+  if (state.sentAt) {
+    const elapsedSeconds = (now - state.sentAt) / 1000;
+    if (elapsedSeconds < RESEND_COOLDOWN_SECONDS) {
+      return { allowed: false, retryAfterSeconds: Math.ceil(RESEND_COOLDOWN_SECONDS - elapsedSeconds) };
+    }
+  }
+
+  const windowActive = state.windowStartedAt && now - state.windowStartedAt < DAY_MS;
+  if (windowActive && state.sendCount >= MAX_SENDS_PER_DAY) {
+    return {
+      allowed: false,
+      retryAfterSeconds: Math.ceil((state.windowStartedAt.getTime() + DAY_MS - now) / 1000),
+    };
+  }
+
+  return { allowed: true, retryAfterSeconds: 0 };
+};
+
+/**
+ * Issue a new verification token and email the link
+ * Any previously sent link stops working
+ * @param {Object} user - User document
+ * @returns {Promise<Date>} - Expiry of the new link
+ */
+const sendVerificationEmail = async (user) => {
+  const now = new Date();
+  const nonce = crypto.randomBytes(32).toString("hex");
+  const { token, expiresAt } = createEmailVerificationToken(user._id, user.email, nonce);
+
+  const state = user.emailVerification || {};
+  const windowActive = state.windowStartedAt && now - state.windowStartedAt < DAY_MS;
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        "emailVerification.nonceHash": hashNonce(nonce),
+        "emailVerification.sentAt": now,
+        "emailVerification.sendCount": windowActive ? state.sendCount + 1 : 1,
+        "emailVerification.windowStartedAt": windowActive ? state.windowStartedAt : now,
+      },
+    }
+  );
+
+  await queueEmail(user.email, "verify_email", {
+    firstname: user.firstname,
+    url: `${CLIENT_URL}/verify-email?token=${encodeURIComponent(token)}`,
+    expiresAt,
+  });
+
+  return expiresAt;
+};
+
+/**
+ * Verify an email verification token and mark the user as verified
+ * @param {string} token - Token from the verification link
+ * @returns {Promise<Object>} - Verified user
+ * @throws {apiError} - 400 if the token is invalid, expired or already used
+ */
+const confirmEmailVerification = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyToken(token, "email_verification");
+  } catch (error) {
+    throw new apiError(
+      error.message.includes("expired")
+        ? "Verification link has expired. Please request a new one"
+        : "Invalid verification link",
+      400
+    );
+  }
+
+  // Single use: the nonce must match the latest link and is cleared once used
+  const user = await User.findOneAndUpdate(
+    {
+      _id: decoded.id,
+      email: decoded.email,
+      "emailVerification.nonceHash": hashNonce(decoded.nonce),
+    },
+    {
+      $set: { emailVerified: true, emailVerifiedAt: new Date() },
+      $unset: { "emailVerification.nonceHash": 1 },
+    },
+    { new: true }
+  ).select("-password");
+
+  if (!user) {
+    throw new apiError("Verification link is invalid or has already been used", 400);
+  }
+
+  return user;
+};
+
+module.exports = {
+  checkResendThrottle,
+  sendVerificationEmail,
+  confirmEmailVerification,
+};
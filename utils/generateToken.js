@@ -34,9 +34,15 @@ exports.createToken = (id, tokenVersion = 0, metadata = {}) => {
  * @param {string} id - User ID
  * @param {number} tokenVersion - Token version for invalidation
  * @param {Object} metadata - Additional metadata
- * @returns {Object} - { token, expiresAt, tokenId }
+ * @param {string} family - Token family shared by all rotations of one login (new family if omitted)
+ * @returns {Object} - { token, expiresAt, tokenId, family }
  */
-exports.createRefreshToken = (id, tokenVersion = 0, metadata = {}) => {
+exports.createRefreshToken = (
+  id,
+  tokenVersion = 0,
+  metadata = {},
+  family = crypto.randomBytes(16).toString('hex')
+) => {
   const expiresIn = process.env.JWT_REFRESH_EXPIRES_IN || "7d";
   const expiresAt = new Date(Date.now() + parseExpiration(expiresIn));
   const tokenId = crypto.randomBytes(32).toString('hex');
@@ -47,6 +53,7 @@ exports.createRefreshToken = (id, tokenVersion = 0, metadata = {}) => {
       type: 'refresh',
       tokenVersion,
       jti: tokenId,
+      family,
       iat: Math.floor(Date.now() / 1000),
       ...metadata
     },
@@ -54,13 +61,65 @@ exports.createRefreshToken = (id, tokenVersion = 0, metadata = {}) => {
     { expiresIn }
   );
 
-  return { token, expiresAt, tokenId };
+  return { token, expiresAt, tokenId, family };
+};
+
+/**
+ * Create a signed email verification token
+ * The nonce is stored (hashed) on the user so the token can only be used once
+ * @param {string} id - User ID
+ * @param {string} email - Email address being verified
+ * @param {string} nonce - Random single-use value
+ * @returns {Object} - { token, expiresAt }
+ */
+exports.createEmailVerificationToken = (id, email, nonce) => {
+  const expiresIn = process.env.EMAIL_VERIFICATION_EXPIRES_IN || "24h";
+  const expiresAt = new Date(Date.now() + parseExpiration(expiresIn));
+
+  const token = jwt.sign(
+    {
+      id,
+      type: 'email_verification',
+      email,
+      nonce,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+
+  return { token, expiresAt };
+};
+
+/**
+ * Create a short-lived two-factor challenge token returned after the password step
+ * @param {string} id - User ID
+ * @param {number} tokenVersion - Token version for invalidation
+ * @param {string} purpose - "verify" (enter a code) or "enroll" (2FA setup required first)
+ * @returns {Object} - { token, expiresAt }
+ */
+exports.createTwoFactorChallengeToken = (id, tokenVersion = 0, purpose = 'verify') => {
+  const expiresIn = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || "5m";
+  const expiresAt = new Date(Date.now() + parseExpiration(expiresIn));
+
+  const token = jwt.sign(
+    {
+      id,
+      type: 'two_factor_challenge',
+      tokenVersion,
+      purpose,
+      jti: crypto.randomBytes(16).toString('hex'),
+    },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+
+  return { token, expiresAt };
 };
 
 /**
  * Verify and decode token with enhanced validation
  * @param {string} token - JWT token to verify
- * @param {string} expectedType - Expected token type ('access' or 'refresh')
+ * @param {string} expectedType - Expected token type ('access', 'refresh', 'email_verification' or 'two_factor_challenge')
  * @returns {Object} - Decoded token payload
  */
 exports.verifyToken = (token, expectedType = null) => {
@@ -0,0 +1,169 @@
+/**
+ * Geospatial Utility
+ * Helpers for GeoJSON points and distances
+ */
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// Maximum radius accepted for radius searches (covers all of Sri Lanka)
+const MAX_RADIUS_KM = 500;
+
+// Web Mercator maps don't show latitudes beyond this; bbox latitudes are clamped to it
+const MAX_MAP_LATITUDE = 85.0511;
+
+// MongoDB joins polygon vertices with geodesic (great-circle) edges, so long edges along a
+// parallel bulge towards the pole. Bbox edges are split into steps of at most this many degrees
+const BBOX_EDGE_STEP_DEG = 10;
+
+// Viewports wider than this are split into several polygons, each well below a hemisphere
+const BBOX_MAX_PIECE_DEG = 90;
+
+// Helper function to build the closed ring of a box that doesn't cross the antimeridian
+const boxRing = (west, south, east, north) => {
+  const steps = Math.max(1, Math.ceil((east - west) / BBOX_EDGE_STEP_DEG));
+  const bottom = [];
+  const top = [];
+
+  for (let i = 0; i <= steps; i++) {
+    const lng = i === steps ? east : west + ((east - west) * i) / steps;
+    bottom.push([lng, south]);
+    top.unshift([lng, north]);
+  }
+
+  return [...bottom, ...top, [west, south]];
+};
+
+// Helper function to split a longitude range into pieces that stop at the antimeridian
+const splitLongitudes = (west, span) => {
+  const pieces = [];
+  let start = west;
+  let remaining = span;
+
+  while (remaining > 0) {
+    const width = Math.min(remaining, BBOX_MAX_PIECE_DEG, 180 - start);
+    pieces.push([start, start + width]);
+    remaining -= width;
+    start = start + width >= 180 ? -180 : start + width;
+  }
+
+  return pieces;
+};
+
+/**
+ * Parse and validate lat/lng/radiusKm query parameters
+ * @param {Object} params - { lat, lng, radiusKm }
+ * @returns {Object} - { point, radiusKm, error } (point is null when lat/lng are missing)
+ */
+const parseGeoParams = ({ lat, lng, radiusKm } = {}) => {
+  if (lat === undefined && lng === undefined) {
+    if (radiusKm !== undefined) {
+      return { point: null, error: "radiusKm requires lat and lng" };
+    }
+    return { point: null };
+  }
+
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+
+  if (
+    lat === undefined || lng === undefined ||
+    Number.isNaN(latitude) || Number.isNaN(longitude) ||
+    latitude < -90 || latitude > 90 ||
+    longitude < -180 || longitude > 180
+  ) {
+    return { point: null, error: "lat must be between -90 and 90 and lng between -180 and 180" };
+  }
+
+  let radius;
+  if (radiusKm !== undefined) {
+    radius = Number(radiusKm);
+    if (Number.isNaN(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+      return { point: null, error: `radiusKm must be greater than 0 and at most ${MAX_RADIUS_KM}` };
+    }
+  }
+
+  return {
+    point: { type: "Point", coordinates: [longitude, latitude] },
+    radiusKm: radius,
+  };
+};
+
+/**
+ * Parse and validate a bbox query parameter ("minLng,minLat,maxLng,maxLat")
+ * A minLng greater than maxLng is a viewport crossing the antimeridian
+ * @param {string} bbox - Bounding box string
+ * @returns {Object} - { geometry, error } (geometry is a GeoJSON Polygon or MultiPolygon)
+ */
+const parseBoundingBox = (bbox) => {
+  const parts = typeof bbox === "string" ? bbox.split(",").map(Number) : [];
+
+  if (parts.length !== 4 || parts.some(Number.isNaN)) {
+    return { error: "bbox must be minLng,minLat,maxLng,maxLat" };
+  }
+
+  const [west, south, east, north] = parts;
+
+  if (
+    west < -180 || west > 180 || east < -180 || east > 180 ||
+    south < -90 || north > 90 || west === east || south >= north
+  ) {
+    return {
+      error: "bbox must be within -180..180 / -90..90 with minLat below maxLat and minLng different from maxLng",
+    };
+  }
+
+  const bottom = Math.max(south, -MAX_MAP_LATITUDE);
+  const top = Math.min(north, MAX_MAP_LATITUDE);
+  if (bottom >= top) {
+    return { error: `bbox must overlap latitudes -${MAX_MAP_LATITUDE}..${MAX_MAP_LATITUDE}` };
+  }
+
+  // A viewport showing the whole world (or more) covers every longitude once
+  const span = Math.min(west < east ? east - west : east - west + 360, 360);
+  const start = span === 360 || west === 180 ? -180 : west;
+
+  const rings = splitLongitudes(start, span).map(([from, to]) => [boxRing(from, bottom, to, top)]);
+
+  return {
+    geometry: rings.length === 1
+      ? { type: "Polygon", coordinates: rings[0] }
+      : { type: "MultiPolygon", coordinates: rings },
+  };
+};
+
+/**
+ * Great-circle distance between two GeoJSON points
+ * @param {Object} a - GeoJSON point
+ * @param {Object} b - GeoJSON point
+ * @returns {number} - Distance in kilometres
+ */
+const distanceKm = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const [lng1, lat1] = a.coordinates;
+  const [lng2, lat2] = b.coordinates;
+
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Round a distance for API responses
+ * @param {number} km - Distance in kilometres
+ * @returns {number} - Distance rounded to 2 decimals
+ */
+const roundDistance = (km) => Math.round(km * 100) / 100;
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  MAX_RADIUS_KM,
+  MAX_MAP_LATITUDE,
+  parseGeoParams,
+  parseBoundingBox,
+  distanceKm,
+  roundDistance,
+};
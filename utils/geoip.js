@@ -0,0 +1,37 @@
+/**
+ * GeoIP Utility
+ * Resolves IP addresses to a location using the offline database bundled with geoip-lite
+ * (no network calls are made)
+ */
+
+const geoip = require("geoip-lite");
+
+/**
+ * Look up the location of an IP address
+ * @param {string} ipAddress - IPv4 or IPv6 address (IPv4-mapped IPv6 is accepted)
+ * @returns {Object|undefined} - { country, region, city } or undefined for private/unknown addresses
+ */
+const lookupLocation = (ipAddress) => {
+  if (!ipAddress) return undefined;
+
+  const result = geoip.lookup(String(ipAddress).replace(/^::ffff:/, ""));
+  if (!result || !result.country) return undefined;
+
+  return {
+    country: result.country,
+    region: result.region || undefined,
+    city: result.city || undefined,
+  };
+};
+
+/**
+ * Build a display label such as "Colombo, LK"
+ * @param {Object} location - { country, region, city }
+ * @returns {string} - Label for display
+ */
+const formatLocation = (location) => {
+  if (!location || !location.country) return "Unknown location";
+  return location.city ? `${location.city}, ${location.country}` : location.country;
+};
+
+module.exports = { lookupLocation, formatLocation };
@@ -0,0 +1,75 @@
+/**
+ * Image Processing Utility
+ * Strips metadata (EXIF GPS etc.), resizes into variants and converts to WebP
+ */
+
+const sharp = require("sharp");
+const apiError = require("./apiError");
+
+// Input formats accepted for uploads
+const ALLOWED_INPUT_FORMATS = ["jpeg", "png", "webp"];
+const ALLOWED_INPUT_MIMETYPES = ["image/jpeg", "image/png", "image/webp"];
+
+// Maximum size of a single image upload (10MB)
+const MAX_IMAGE_SIZE_BYTES = 10 * 1024 * 1024;
+
+// Variant name -> longest side in pixels
+const LISTING_IMAGE_VARIANTS = { small: 320, medium: 800, large: 1600 };
+const PROFILE_IMAGE_VARIANTS = { small: 64, medium: 200, large: 500 };
+
+// WebP output quality
+const WEBP_QUALITY = 80;
+
+/**
+ * Process an uploaded image into WebP variants
+ * Orientation from EXIF is applied first, then all metadata is dropped
+ * @param {Buffer} buffer - Original image
+ * @param {Object} variants - Variant name -> longest side in pixels
+ * @returns {Promise<Object>} - Variant name -> { buffer, width, height }
+ */
+const processImage = async (buffer, variants = LISTING_IMAGE_VARIANTS) => {
+  const metadata = await sharp(buffer)
+    .metadata()
+    .catch(() => {
+      throw new apiError("Uploaded file is not a valid image", 400);
+    });
+
+  if (!ALLOWED_INPUT_FORMATS.includes(metadata.format)) {
+    throw new apiError("Unsupported image format. Allowed: jpg, png, webp", 400);
+  }
+
+  const processed = {};
+
+  for (const [name, size] of Object.entries(variants)) {
+    // sharp drops EXIF/ICC/XMP metadata unless withMetadata() is called
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize({ width: size, height: size, fit: "inside", withoutEnlargement: true })
+      .webp({ quality: WEBP_QUALITY })
+      .toBuffer({ resolveWithObject: true });
+
+    processed[name] = { buffer: data, width: info.width, height: info.height };
+  }
+
+  return processed;
+};
+
+/**
+ * Multer file filter rejecting files that don't claim to be a supported image
+ * The real format is checked again by processImage
+ */
+const imageFileFilter = (req, file, cb) => {
+  if (!ALLOWED_INPUT_MIMETYPES.includes(file.mimetype)) {
+    return cb(new apiError("Unsupported image format. Allowed: jpg, png, webp", 400));
+  }
+  cb(null, true);
+};
+
+module.exports = {
+  ALLOWED_INPUT_FORMATS,
+  MAX_IMAGE_SIZE_BYTES,
+  LISTING_IMAGE_VARIANTS,
+  PROFILE_IMAGE_VARIANTS,
+  processImage,
+  imageFileFilter,
+};
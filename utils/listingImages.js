@@ -0,0 +1,52 @@
+/**
+ * Listing Images Utility
+ * Per-plan image limits and stored image cleanup
+ */
+
+const { deleteStoredImage } = require("../config/storage");
+
+// Maximum number of images per listing for each User.plan
+const IMAGE_LIMITS_BY_PLAN = {
+  Free: 5,
+  Premium: 10,
+  Pro: 20,
+};
+
+// Maximum number of images accepted in a single upload request
+const MAX_IMAGES_PER_UPLOAD = 10;
+
+/**
+ * Get the image limit for a user's plan
+ * @param {Object} user - User document
+ * @returns {number} - Maximum images per listing
+ */
+const getImageLimit = (user) => IMAGE_LIMITS_BY_PLAN[user.plan] || IMAGE_LIMITS_BY_PLAN.Free;
+
+/**
+ * Delete the stored variants of a listing's uploaded images
+ * Failures are logged and do not stop the remaining deletions
+ * @param {Object} listing - Listing document (or { images })
+ * @returns {Promise<number>} - Number of images deleted
+ */
+const deleteListingImages = async (listing) => {
+  const images = (listing.images || []).filter((image) => image && image.variants);
+
+  const results = await Promise.allSettled(
+    images.map((image) => deleteStoredImage(image))
+  );
+
+  results.forEach((result, index) => {
+    if (result.status === "rejected") {
+      console.error(`Failed to delete image ${images[index].url}:`, result.reason);
+    }
+  });
+
+  return results.filter((result) => result.status === "fulfilled").length;
+};
+
+module.exports = {
+  IMAGE_LIMITS_BY_PLAN,
+  MAX_IMAGES_PER_UPLOAD,
+  getImageLimit,
+  deleteListingImages,
+};
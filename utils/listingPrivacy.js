@@ -0,0 +1,29 @@
+/**
+ * Listing Privacy Utility
+ * Fields and contact details of listings that may be shown to other users
+ */
+
+// Listing fields left out of public results (ids of the users who liked or viewed a listing)
+const PUBLIC_LISTING_PROJECTION = { likes: 0, numViews: 0 };
+
+// Author fields shown with public results (never the author's email address)
+const PUBLIC_AUTHOR_FIELDS = "firstname lastname phone image";
+
+/**
+ * Remove phone numbers the owner chose to hide from other users
+ * The owner and admins still see them
+ * @param {Object} listing - Plain listing object (lean), author populated or not
+ * @param {Object} user - Current user, if any
+ */
+const applyContactPrivacy = (listing, user) => {
+  if (!listing.hideContactPhone || !listing.author) return;
+
+  const authorId = (listing.author._id || listing.author).toString();
+  if (user && (user.role === "admin" || user._id.toString() === authorId)) return;
+
+  listing.contactPhone = undefined;
+  listing.contactPhoneSecondary = undefined;
+  if (listing.author.phone !== undefined) listing.author.phone = undefined;
+};
+
+module.exports = { PUBLIC_LISTING_PROJECTION, PUBLIC_AUTHOR_FIELDS, applyContactPrivacy };
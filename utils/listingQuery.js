@@ -0,0 +1,97 @@
+/**
+ * Listing Query Utility
+ * Builds the MongoDB filter shared by public listing browse endpoints
+ */
+
+const { EARTH_RADIUS_KM } = require("./geo");
+
+/**
+ * Build the filter for published listings from browse parameters
+ * @param {Object} params - { q, propertyType, district, city, minPrice, maxPrice, bedrooms, bathrooms, furnishing }
+ * @param {Object} options - { point, radiusKm, now } from parseGeoParams
+ * @returns {Object} - { query, keywords }
+ */
+const buildListingQuery = (params = {}, options = {}) => {
+  const { q, propertyType, district, city, minPrice, maxPrice, bedrooms, bathrooms, furnishing } = params;
+
+  // Build query
+  let query = {};
+
+  // Only show published listings for public access (non-authenticated users)
+  // This allows all users to browse published properties without login
+  query.status = "published";
+
+  // Hide listings that have passed expiresAt but not yet been picked up by the expiry job
+  query.$or = [
+    { expiresAt: { $exists: false } },
+    { expiresAt: { $gt: options.now || new Date() } },
+  ];
+
+  // Keyword search across title, description, location and amenities
+  const keywords = typeof q === "string" ? q.trim().slice(0, 100) : "";
+  if (keywords) {
+    query.$text = { $search: keywords };
+  }
+
+  // Filter by property type
+  if (propertyType) {
+    query.propertyType = propertyType;
+  }
+
+  // Filter by location
+  if (district) {
+    query["location.district"] = district;
+  }
+  if (city) {
+    query["location.city"] = { $regex: city, $options: "i" };
+  }
+
+  // Filter by distance from a point
+  if (options.point && options.radiusKm) {
+    query["location.geo"] = {
+      $geoWithin: {
+        $centerSphere: [options.point.coordinates, options.radiusKm / EARTH_RADIUS_KM],
+      },
+    };
+  }
+
+  // Filter by price range
+  if (minPrice || maxPrice) {
+    query.rentPerMonth = {};
+    if (minPrice) query.rentPerMonth.$gte = Number(minPrice);
+    if (maxPrice) query.rentPerMonth.$lte = Number(maxPrice);
+  }
+
+  // Filter by bedrooms
+  if (bedrooms) {
+    query.bedrooms = Number(bedrooms);
+  }
+
+  // Filter by bathrooms
+  if (bathrooms) {
+    query.bathrooms = Number(bathrooms);
+  }
+
+  // Filter by furnishing
+  if (furnishing) {
+    query.furnishing = furnishing;
+  }
+
+  return { query, keywords };
+};
+
+/**
+ * Build the filter that counts the listings a browse request can page through
+ * $geoNear skips listings without a geo point, so a distance sort only counts listings that have one
+ * @param {Object} query - Filter from buildListingQuery
+ * @param {Object} options - { distanceSort }
+ * @returns {Object} - Filter for countDocuments
+ */
+const buildListingCountQuery = (query, options = {}) => {
+  // A radius filter on location.geo already excludes listings without a point
+  if (!options.distanceSort || query["location.geo"]) return query;
+
+  return { ...query, "location.geo.coordinates": { $exists: true } };
+};
+
+module.exports = { buildListingQuery, buildListingCountQuery };
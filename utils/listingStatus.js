@@ -0,0 +1,74 @@
+/**
+ * Listing Status Utility
+ * Rules for moderating a listing's status and the publish periods it records
+ */
+
+/**
+ * Calculate the expiration date N months after a start date
+ * @param {Date} startDate - Start of the period
+ * @param {number} durationInMonths - Length of the period in months
+ * @returns {Date} - Midnight (local time) of the expiry day
+ */
+const calculateExpirationDate = (startDate, durationInMonths) => {
+  const expirationDate = new Date(
+    startDate.getFullYear(),
+    startDate.getMonth() + durationInMonths,
+    startDate.getDate(),
+    0, 0, 0, 0 // Set to midnight local time
+  );
+
+  // Handle month boundary edge cases (e.g., Jan 31 + 1 month = Feb 28/29, not Mar 3)
+  // If the day rolled over to next month, set to last day of target month
+  if (expirationDate.getDate() !== startDate.getDate()) {
+    expirationDate.setDate(0); // Go back to last day of previous month
+  }
+
+  return expirationDate;
+};
+
+/**
+ * Check whether an admin may move a listing to a status
+ * @param {Object} listing - Listing with its current status
+ * @param {string} status - Requested status
+ * @returns {string|null} - Reason the change is refused, or null if allowed
+ */
+const getStatusChangeError = (listing, status) => {
+  if (listing.status === status) {
+    return `Listing is already ${status}`;
+  }
+
+  // Expired listings come back through a renewal request so the owner picks the new period
+  if (listing.status === "expired" && status === "published") {
+    return "Expired listings are republished by approving a renewal request";
+  }
+
+  return null;
+};
+
+/**
+ * Publish a listing for its listingDuration starting now and record the period
+ * The first publish is recorded as "initial", publishing again after a rejection as "republish"
+ * @param {Object} listing - Listing document
+ * @param {string} approvedBy - Admin user ID
+ * @param {Date} now - Start of the period
+ */
+const publishListing = (listing, approvedBy, now = new Date()) => {
+  const durationInMonths = listing.listingDuration || 3; // Default to 3 months
+  const expirationDate = calculateExpirationDate(now, durationInMonths);
+
+  listing.status = "published";
+  listing.publishedAt = now;
+  listing.expiresAt = expirationDate;
+  listing.expiryReminderSentAt = undefined;
+  listing.isAvailable = true; // Mark listing as available when published
+
+  listing.publishHistory.push({
+    type: listing.publishHistory.length === 0 ? "initial" : "republish",
+    months: durationInMonths,
+    startsAt: now,
+    expiresAt: expirationDate,
+    approvedBy,
+  });
+};
+
+module.exports = { calculateExpirationDate, getStatusChangeError, publishListing };
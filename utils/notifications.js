@@ -0,0 +1,86 @@
+/**
+ * Notifications Utility
+ * Creates in-app notifications and pushes them to open event streams,
+ * honouring each user's preferences per event type and channel
+ */
+
+const Notification = require("../model/Notification");
+const User = require("../model/User");
+const { sendToUser } = require("./realtime");
+
+// Event types a user can receive notifications for
+const NOTIFICATION_TYPES = Notification.schema.path("type").enumValues;
+
+// Delivery channels: stored in the notification list, pushed over /realtime/events
+const NOTIFICATION_CHANNELS = ["inApp", "realtime"];
+
+/**
+ * Get a user's preferences for every type and channel (missing values are enabled)
+ * @param {Object} user - User document
+ * @returns {Object} - { [type]: { inApp, realtime } }
+ */
+const getNotificationPreferences = (user) => {
+  const stored = user.notificationPreferences || new Map();
+
+  return NOTIFICATION_TYPES.reduce((preferences, type) => {
+    const typePreferences = stored.get(type) || {};
+    preferences[type] = NOTIFICATION_CHANNELS.reduce((channels, channel) => {
+      channels[channel] = typePreferences[channel] !== false;
+      return channels;
+    }, {});
+    return preferences;
+  }, {});
+};
+
+/**
+ * Notify a user about an event
+ * @param {ObjectId|string} userId - Recipient user ID
+ * @param {string} type - One of NOTIFICATION_TYPES
+ * @param {Object} content - { title, message, data }
+ * @returns {Promise<Object|null>} - Created notification, or null if the user opted out
+ */
+const notify = async (userId, type, { title, message, data = {} }) => {
+  const user = await User.findById(userId, { notificationPreferences: 1 });
+  if (!user) return null;
+
+  const preferences = getNotificationPreferences(user)[type];
+  if (!preferences.inApp && !preferences.realtime) return null;
+
+  const notification = new Notification({ user: user._id, type, title, message, data });
+
+  // Realtime-only notifications are pushed but not kept in the list
+  if (preferences.inApp) {
+    await notification.save();
+  }
+
+  if (preferences.realtime) {
+    // Without an _id clients can't try to mark an unsaved notification as read
+    const payload = notification.toJSON();
+    if (notification.isNew) delete payload._id;
+
+    sendToUser(user._id, "notification", payload);
+  }
+
+  return notification;
+};
+
+/**
+ * Notify a user without failing the calling request
+ * Errors are logged, not thrown
+ * @param {ObjectId|string} userId - Recipient user ID
+ * @param {string} type - One of NOTIFICATION_TYPES
+ * @param {Object} content - { title, message, data }
+ */
+const notifyInBackground = (userId, type, content) => {
+  notify(userId, type, content).catch((error) =>
+    console.error(`Notification ${type} failed:`, error.message)
+  );
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  getNotificationPreferences,
+  notify,
+  notifyInBackground,
+};
@@ -0,0 +1,174 @@
+/**
+ * Pagination Utility
+ * Offset (page/limit) and opaque cursor pagination helpers
+ */
+
+const mongoose = require("mongoose");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Dates are encoded with Date.prototype.toISOString
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+// Helper function to turn a cursor value back into a query value
+// Only plain strings, finite numbers and ISO dates are accepted so a cursor
+// can never smuggle an operator object (e.g. { "$ne": null }) into a query
+const parseCursorValue = (type, value) => {
+  if (type === "string" && typeof value === "string") return value;
+  if (type === "number" && typeof value === "number" && Number.isFinite(value)) return value;
+  if (type === "date" && typeof value === "string" && ISO_DATE_PATTERN.test(value)) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+  }
+  return undefined;
+};
+
+/**
+ * Parse page and limit query parameters
+ * @param {Object} query - Express req.query
+ * @param {Object} options - { defaultLimit, maxLimit }
+ * @returns {Object} - { page, limit, skip }
+ */
+const parsePagination = (query, options = {}) => {
+  const defaultLimit = options.defaultLimit || DEFAULT_LIMIT;
+  const maxLimit = options.maxLimit || MAX_LIMIT;
+
+  let page = parseInt(query.page) || 1;
+  let limit = parseInt(query.limit) || defaultLimit;
+
+  if (page < 1) page = 1;
+  if (limit < 1) limit = defaultLimit;
+  if (limit > maxLimit) limit = maxLimit;
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Encode a cursor pointing at a document for a given sort field
+ * @param {Object} doc - Document the cursor points at
+ * @param {string} field - Primary sort field
+ * @param {string} direction - "next" or "prev"
+ * @returns {string} - Opaque base64url cursor
+ */
+const encodeCursor = (doc, field, direction = "next") => {
+  const value = field.split(".").reduce((obj, key) => (obj ? obj[key] : undefined), doc);
+  const payload = {
+    k: field,
+    v: value instanceof Date ? value.toISOString() : value,
+    t: value instanceof Date ? "date" : typeof value,
+    id: doc._id.toString(),
+    d: direction,
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+/**
+ * Decode an opaque cursor
+ * @param {string} cursor - Cursor from encodeCursor
+ * @param {Object} fieldTypes - Expected value type per sort field ("string", "number" or "date")
+ * @returns {Object|null} - { field, value, id, direction } or null if invalid
+ */
+const decodeCursor = (cursor, fieldTypes = {}) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+
+    if (
+      !payload ||
+      typeof payload.k !== "string" ||
+      typeof payload.id !== "string" ||
+      !mongoose.Types.ObjectId.isValid(payload.id)
+    ) {
+      return null;
+    }
+
+    if (fieldTypes[payload.k] && fieldTypes[payload.k] !== payload.t) {
+      return null;
+    }
+
+    const value = parseCursorValue(payload.t, payload.v);
+    if (value === undefined) {
+      return null;
+    }
+
+    return {
+      field: payload.k,
+      value,
+      id: new mongoose.Types.ObjectId(payload.id),
+      direction: payload.d === "prev" ? "prev" : "next",
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the query condition and sort for a cursor page
+ * The sort must contain a single primary field followed by _id as tiebreaker
+ * @param {Object} sort - Primary sort, e.g. { rentPerMonth: 1 }
+ * @param {Object|null} cursor - Decoded cursor
+ * @returns {Object} - { condition, sort }
+ */
+const buildCursorQuery = (sort, cursor) => {
+  const [field, order] = Object.entries(sort)[0];
+
+  // Walking backwards flips the sort and comparisons; results are reversed afterwards
+  const backwards = cursor && cursor.direction === "prev";
+  const effectiveOrder = backwards ? -order : order;
+  const effectiveSort = { [field]: effectiveOrder, _id: effectiveOrder };
+
+  if (!cursor) {
+    return { condition: null, sort: effectiveSort };
+  }
+
+  const op = effectiveOrder === 1 ? "$gt" : "$lt";
+  const condition = {
+    $or: [
+      { [field]: { [op]: cursor.value } },
+      { [field]: cursor.value, _id: { [op]: cursor.id } },
+    ],
+  };
+
+  return { condition, sort: effectiveSort };
+};
+
+/**
+ * Build a link to the current route with updated query parameters
+ * @param {Object} req - Express request object
+ * @param {Object} params - Query parameters to set (null removes the parameter)
+ * @returns {string} - Relative URL
+ */
+const buildLink = (req, params) => {
+  const search = new URLSearchParams();
+
+  Object.entries(req.query).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      value.forEach((v) => search.append(key, v));
+    } else if (value !== undefined) {
+      search.set(key, value);
+    }
+  });
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === null || value === undefined) {
+      search.delete(key);
+    } else {
+      search.set(key, value);
+    }
+  });
+
+  const path = req.originalUrl.split("?")[0];
+  const qs = search.toString();
+  return qs ? `${path}?${qs}` : path;
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery,
+  buildLink,
+};
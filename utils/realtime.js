@@ -0,0 +1,184 @@
+/**
+ * Realtime Utility
+ * Server-Sent Events hub that pushes events to a user's open streams
+ * Streams are tied to a session and closed when that session ends
+ */
+
+const Session = require("../model/Session");
+
+// Seconds between keep-alive pings and session re-validation (default: 30 seconds)
+const HEARTBEAT_SECONDS = parseInt(process.env.REALTIME_HEARTBEAT_SECONDS) || 30;
+
+// Minutes without requests after which a session ends (same setting as requireSignIn)
+// An open stream doesn't count as activity
+const SESSION_TIMEOUT_MINUTES = parseInt(process.env.SESSION_TIMEOUT_MINUTES) || 120;
+
+// Maximum open streams per user; the oldest stream is closed beyond this
+const MAX_STREAMS_PER_USER = parseInt(process.env.REALTIME_MAX_STREAMS_PER_USER) || 5;
+
+// userId -> Set of clients { res, userId, sessionId, expiresAt }
+const clients = new Map();
+
+let heartbeat = null;
+
+// Helper function to write a single SSE event
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Helper function to remove a client from the hub
+const removeClient = (client) => {
+  const userClients = clients.get(client.userId);
+  if (!userClients) return;
+
+  userClients.delete(client);
+  if (userClients.size === 0) clients.delete(client.userId);
+
+  if (clients.size === 0 && heartbeat) {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  }
+};
+
+// Helper function to tell a client why its stream ends, then close it
+const closeClient = (client, reason) => {
+  removeClient(client);
+  writeEvent(client.res, "session_ended", { reason });
+  client.res.end();
+};
+
+// Helper function to list all connected clients
+const allClients = () => [...clients.values()].flatMap((userClients) => [...userClients]);
+
+/**
+ * Ping every stream and close those whose session or token is no longer valid
+ * Catches invalidations that don't go through disconnectSession/disconnectUser
+ * (password change, expired access token) and ends sessions that have been
+ * idle for longer than SESSION_TIMEOUT_MINUTES, as requireSignIn would on the next request
+ */
+const runHeartbeat = async () => {
+  const connected = allClients();
+  if (connected.length === 0) return;
+
+  try {
+    const now = new Date();
+    const idleBefore = new Date(now.getTime() - SESSION_TIMEOUT_MINUTES * 60 * 1000);
+
+    const active = await Session.find({
+      _id: { $in: connected.map((client) => client.sessionId) },
+      isActive: true,
+      expiresAt: { $gt: now },
+    });
+    const activeSessions = new Map(active.map((session) => [session._id.toString(), session]));
+    const idleSessions = new Set();
+
+    connected.forEach((client) => {
+      const session = activeSessions.get(client.sessionId);
+
+      if (!session) {
+        closeClient(client, "session_invalidated");
+      } else if (session.lastActivity < idleBefore) {
+        idleSessions.add(session);
+        closeClient(client, "inactivity_timeout");
+      } else if (client.expiresAt <= now) {
+        closeClient(client, "token_expired");
+      } else {
+        client.res.write(": ping\n\n");
+      }
+    });
+
+    for (const session of idleSessions) {
+      await session.invalidate("expired");
+    }
+  } catch (error) {
+    console.error("Realtime heartbeat failed:", error.message);
+  }
+};
+
+/**
+ * Open an event stream for an authenticated request
+ * @param {Object} req - Express request (requires req.user and req.session)
+ * @param {Object} res - Express response
+ * @param {Date} expiresAt - Access token expiry; the stream closes after it
+ */
+const openStream = (req, res, expiresAt) => {
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const client = {
+    res,
+    userId: req.user._id.toString(),
+    sessionId: req.session._id.toString(),
+    expiresAt,
+  };
+
+  if (!clients.has(client.userId)) clients.set(client.userId, new Set());
+  const userClients = clients.get(client.userId);
+
+  if (userClients.size >= MAX_STREAMS_PER_USER) {
+    closeClient(userClients.values().next().value, "too_many_streams");
+  }
+  userClients.add(client);
+
+  if (!heartbeat) {
+    heartbeat = setInterval(runHeartbeat, HEARTBEAT_SECONDS * 1000);
+    heartbeat.unref();
+  }
+
+  req.on("close", () => removeClient(client));
+
+  // Ask EventSource to wait a few seconds before reconnecting
+  res.write("retry: 5000\n\n");
+  writeEvent(res, "connected", { userId: client.userId });
+};
+
+/**
+ * Push an event to every open stream of a user
+ * @param {ObjectId|string} userId - Recipient user ID
+ * @param {string} event - Event name (e.g. "message", "listing_status")
+ * @param {Object} data - JSON serializable payload
+ * @returns {number} - Number of streams the event was written to
+ */
+const sendToUser = (userId, event, data) => {
+  const userClients = clients.get(userId.toString());
+  if (!userClients) return 0;
+
+  userClients.forEach((client) => writeEvent(client.res, event, data));
+  return userClients.size;
+};
+
+/**
+ * Close the streams opened with a session
+ * @param {ObjectId|string} sessionId - Session ID
+ * @param {string} reason - Reason sent to the client
+ */
+const disconnectSession = (sessionId, reason = "logout") => {
+  const id = sessionId.toString();
+  allClients()
+    .filter((client) => client.sessionId === id)
+    .forEach((client) => closeClient(client, reason));
+};
+
+/**
+ * Close all streams of a user
+ * @param {ObjectId|string} userId - User ID
+ * @param {string} reason - Reason sent to the client
+ */
+const disconnectUser = (userId, reason = "logout_all") => {
+  const userClients = clients.get(userId.toString());
+  if (!userClients) return;
+
+  [...userClients].forEach((client) => closeClient(client, reason));
+};
+
+module.exports = {
+  openStream,
+  sendToUser,
+  disconnectSession,
+  disconnectUser,
+};
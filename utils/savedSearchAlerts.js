@@ -0,0 +1,49 @@
+/**
+ * Saved Search Alerts Utility
+ * Matches newly published listings against saved searches and notifies
+ * every matching user
+ */
+
+const SavedSearch = require("../model/SavedSearch");
+const { notify } = require("./notifications");
+
+/**
+ * Queue saved search match notifications for a published listing
+ * A user with several matching searches receives one notification
+ * @param {Object} listing - Listing that was just published
+ * @returns {Promise<number>} - Number of notifications queued
+ */
+const queueSavedSearchAlerts = async (listing) => {
+  const searches = await SavedSearch.findMatchesForListing(listing);
+  if (searches.length === 0) return 0;
+
+  // Group matching searches by user
+  const searchesByUser = new Map();
+  searches.forEach((search) => {
+    const userId = search.user.toString();
+    if (!searchesByUser.has(userId)) searchesByUser.set(userId, []);
+    searchesByUser.get(userId).push(search);
+  });
+
+  let queued = 0;
+  for (const userSearches of searchesByUser.values()) {
+    const notification = await notify(userSearches[0].user, "saved_search_match", {
+      title: "New listing matches your saved search",
+      message: `"${listing.title}" matches ${userSearches.map((s) => `"${s.name}"`).join(", ")}`,
+      data: {
+        listingId: listing._id,
+        savedSearchIds: userSearches.map((s) => s._id),
+      },
+    });
+    if (notification) queued += 1;
+  }
+
+  await SavedSearch.updateMany(
+    { _id: { $in: searches.map((s) => s._id) } },
+    { $set: { lastNotifiedAt: new Date() } }
+  );
+
+  return queued;
+};
+
+module.exports = { queueSavedSearchAlerts };
@@ -0,0 +1,61 @@
+/**
+ * Security Events Utility
+ * Records security relevant events on a user's account
+ */
+
+const SecurityEvent = require("../model/SecurityEvent");
+
+/**
+ * Record a security event
+ * @param {string} userId - User the event belongs to
+ * @param {string} type - One of the SecurityEvent types
+ * @param {Object} metadata - { ipAddress, userAgent } of the request that caused it
+ * @param {Object} data - Event specific payload
+ * @returns {Promise<Object>} - Created security event
+ */
+const recordSecurityEvent = (userId, type, metadata = {}, data = {}) =>
+  SecurityEvent.create({
+    user: userId,
+    type,
+    ipAddress: metadata.ipAddress,
+    userAgent: metadata.userAgent,
+    data,
+  });
+
+/**
+ * Record a security event without failing the calling request
+ * Errors are logged, not thrown
+ * @param {string} userId - User the event belongs to
+ * @param {string} type - One of the SecurityEvent types
+ * @param {Object} metadata - { ipAddress, userAgent } of the request that caused it
+ * @param {Object} data - Event specific payload
+ */
+const recordSecurityEventInBackground = (userId, type, metadata, data) => {
+  recordSecurityEvent(userId, type, metadata, data).catch((error) =>
+    console.error(`Security event ${type} failed:`, error.message)
+  );
+};
+
+/**
+ * Record an admin action on a user's account in the audit trail
+ * @param {Object} req - Express request of the admin (req.user is the admin)
+ * @param {string} userId - User the action was performed on
+ * @param {string} type - One of the admin_* SecurityEvent types
+ * @param {Object} data - Event specific payload
+ * @returns {Promise<Object>} - Created security event
+ */
+const recordAdminAction = (req, userId, type, data = {}) =>
+  SecurityEvent.create({
+    user: userId,
+    actor: req.user._id,
+    type,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.headers["user-agent"] || "Unknown",
+    data,
+  });
+
+module.exports = {
+  recordSecurityEvent,
+  recordSecurityEventInBackground,
+  recordAdminAction,
+};
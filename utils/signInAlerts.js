@@ -0,0 +1,82 @@
+/**
+ * Sign-in Alerts Utility
+ * Resolves where a login comes from and alerts the user about logins
+ * from a country or device not seen in their recent session history
+ */
+
+const Session = require("../model/Session");
+const { lookupLocation, formatLocation } = require("./geoip");
+const { parseUserAgent, formatDeviceLabel } = require("./userAgent");
+const { notifyInBackground } = require("./notifications");
+const { queueEmailInBackground } = require("./email");
+
+// Helper function to build a comparable key for a device (null when nothing is known)
+const deviceKey = (deviceInfo) => {
+  if (!deviceInfo || (!deviceInfo.browser && !deviceInfo.os && !deviceInfo.device)) {
+    return null;
+  }
+  return [deviceInfo.browser, deviceInfo.os, deviceInfo.device].join("|");
+};
+
+/**
+ * Resolve location and device for a new login and compare them to the user's history
+ * Must run before the new session is created
+ * @param {string} userId - User ID
+ * @param {Object} metadata - { ipAddress, userAgent }
+ * @returns {Promise<Object>} - { location, deviceInfo, signInFlags } to store on the session
+ */
+const assessSignIn = async (userId, metadata) => {
+  const location = lookupLocation(metadata.ipAddress);
+  const deviceInfo = parseUserAgent(metadata.userAgent);
+  const history = await Session.findRecentHistory(userId);
+
+  // The first login has nothing to compare against
+  if (history.length === 0) {
+    return { location, deviceInfo, signInFlags: { newCountry: false, newDevice: false } };
+  }
+
+  const country = location && location.country;
+  const key = deviceKey(deviceInfo);
+
+  return {
+    location,
+    deviceInfo,
+    signInFlags: {
+      newCountry:
+        !!country && !history.some((session) => session.location && session.location.country === country),
+      newDevice: !!key && !history.some((session) => deviceKey(session.deviceInfo) === key),
+    },
+  };
+};
+
+/**
+ * Notify and email the user when a login was flagged by assessSignIn
+ * @param {Object} user - User document
+ * @param {Object} signIn - Result of assessSignIn
+ * @param {Object} metadata - { ipAddress, userAgent }
+ */
+const alertNewSignIn = (user, signIn, metadata) => {
+  const { newCountry, newDevice } = signIn.signInFlags;
+  if (!newCountry && !newDevice) return;
+
+  const device = formatDeviceLabel(signIn.deviceInfo);
+  const location = formatLocation(signIn.location);
+
+  notifyInBackground(user._id, "new_sign_in", {
+    title: "New sign-in to your account",
+    message: `${device} signed in from ${location}. If this wasn't you, log out the session and change your password`,
+    data: { device, location: signIn.location, ipAddress: metadata.ipAddress, newCountry, newDevice },
+  });
+
+  queueEmailInBackground(user.email, "new_sign_in", {
+    firstname: user.firstname,
+    device,
+    location,
+    ipAddress: metadata.ipAddress,
+    signedInAt: new Date(),
+    newCountry,
+    newDevice,
+  });
+};
+
+module.exports = { assessSignIn, alertNewSignIn };
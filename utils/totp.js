@@ -0,0 +1,153 @@
+/**
+ * TOTP Utility
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 30 second steps, 6 digits)
+ * compatible with Google Authenticator, Authy, 1Password etc.
+ */
+
+const crypto = require("crypto");
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Accept codes from one step before and after the current one (clock drift)
+const WINDOW = 1;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Encode a buffer as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret (160 bits, as recommended by RFC 4226)
+ * @returns {string} - Base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get the time step for a timestamp
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {number} - Time step counter
+ */
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * Generate the code for a time step (RFC 4226 HOTP)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} - Zero padded code
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Verify a code against a secret
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { timestamp, afterStep } where afterStep rejects reused codes
+ * @returns {number|null} - Matching time step, or null if invalid
+ */
+const verifyCode = (secret, code, options = {}) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const currentStep = getTimeStep(options.timestamp);
+
+  for (let step = currentStep - WINDOW; step <= currentStep + WINDOW; step++) {
+    if (options.afterStep !== undefined && step <= options.afterStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI shown as a QR code by authenticator apps
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @param {string} issuer - Service name
+ * @returns {string} - otpauth URI
+ */
+const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+};
@@ -0,0 +1,134 @@
+/**
+ * Two-Factor Authentication Utility
+ * Secret encryption, recovery codes and second factor verification
+ */
+
+const crypto = require("crypto");
+const User = require("../model/User");
+const { verifyCode } = require("./totp");
+
+// Number of recovery codes issued at a time
+const RECOVERY_CODE_COUNT = 10;
+
+// Issuer shown in authenticator apps
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || "Boarding";
+
+// Fields needed to verify a second factor (hidden by default)
+const TWO_FACTOR_SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes";
+
+// Helper function to derive the AES key used for TOTP secrets
+const getEncryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ * @param {string} secret - Base32 secret
+ * @returns {string} - iv.tag.ciphertext (base64url)
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64url")).join(".");
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} payload - Value from encryptSecret
+ * @returns {string} - Base32 secret
+ */
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split(".").map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+// Helper function to normalize and hash a recovery code
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ""))
+    .digest("hex");
+
+/**
+ * Generate a new set of recovery codes
+ * @returns {Object} - { codes: plain codes to show once, hashed: values to store }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashed: codes.map((code) => ({ hash: hashRecoveryCode(code) })),
+  };
+};
+
+/**
+ * Verify a TOTP code or a recovery code for a user with 2FA enabled
+ * Accepted codes are consumed (TOTP steps can't be replayed, recovery codes are single-use)
+ * @param {Object} user - User document loaded with TWO_FACTOR_SECRET_FIELDS
+ * @param {Object} input - { code, recoveryCode }
+ * @returns {Promise<Object>} - { valid, method, remainingRecoveryCodes }
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  const twoFactor = user.twoFactor;
+  if (!twoFactor || !twoFactor.enabled || !twoFactor.secret) {
+    return { valid: false };
+  }
+
+  if (code) {
+    const step = verifyCode(decryptSecret(twoFactor.secret), code, {
+      afterStep: twoFactor.lastUsedStep,
+    });
+    if (step === null) return { valid: false };
+
+    // Only accept the step if no concurrent request used it first
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { "twoFactor.lastUsedStep": { $exists: false } },
+          { "twoFactor.lastUsedStep": { $lt: step } },
+        ],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+
+    return { valid: result.modifiedCount === 1, method: "totp" };
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: user._id, "twoFactor.recoveryCodes": { $elemMatch: { hash, usedAt: { $exists: false } } } },
+      { $set: { "twoFactor.recoveryCodes.$.usedAt": new Date() } }
+    );
+    if (result.modifiedCount !== 1) return { valid: false };
+
+    const remainingRecoveryCodes =
+      twoFactor.recoveryCodes.filter((item) => !item.usedAt).length - 1;
+
+    return { valid: true, method: "recovery_code", remainingRecoveryCodes };
+  }
+
+  return { valid: false };
+};
+
+module.exports = {
+  TWO_FACTOR_ISSUER,
+  TWO_FACTOR_SECRET_FIELDS,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  verifySecondFactor,
+};
@@ -0,0 +1,82 @@
+/**
+ * User Agent Utility
+ * Parses user-agent strings into the browser, OS and device type stored on sessions
+ */
+
+// Checked in order: browsers that embed other browsers' tokens (e.g. Edge contains "Chrome") come first
+const BROWSERS = [
+  { name: "Edge", pattern: /\b(?:Edg|EdgA|EdgiOS|Edge)\// },
+  { name: "Opera", pattern: /\b(?:OPR|OPiOS|Opera)\b/ },
+  { name: "Samsung Internet", pattern: /\bSamsungBrowser\// },
+  { name: "Firefox", pattern: /\b(?:Firefox|FxiOS)\// },
+  { name: "Chrome", pattern: /\b(?:Chrome|CriOS|Chromium)\// },
+  { name: "Safari", pattern: /\bVersion\/[\d.]+.*\bSafari\// },
+  { name: "Internet Explorer", pattern: /\b(?:MSIE |Trident\/)/ },
+  { name: "Postman", pattern: /^PostmanRuntime\// },
+  { name: "curl", pattern: /^curl\// },
+];
+
+const OPERATING_SYSTEMS = [
+  { name: "Windows Phone", pattern: /\bWindows Phone\b/ },
+  { name: "Windows", pattern: /\bWindows\b/ },
+  { name: "Android", pattern: /\bAndroid\b/ },
+  { name: "iOS", pattern: /\b(?:iPhone|iPad|iPod)\b/ },
+  { name: "ChromeOS", pattern: /\bCrOS\b/ },
+  { name: "macOS", pattern: /\bMac OS X\b|\bMacintosh\b/ },
+  { name: "Linux", pattern: /\bLinux\b/ },
+];
+
+const BOT_PATTERN = /bot|crawler|spider|slurp|facebookexternalhit/i;
+
+// Helper function to return the first matching entry name
+const matchName = (entries, ua) => {
+  const match = entries.find((entry) => entry.pattern.test(ua));
+  return match ? match.name : undefined;
+};
+
+// Helper function to classify the kind of device
+const detectDevice = (ua, os) => {
+  if (BOT_PATTERN.test(ua)) return "Bot";
+  if (/\biPad\b|\bTablet\b/.test(ua) || (os === "Android" && !/\bMobile\b/.test(ua))) {
+    return "Tablet";
+  }
+  if (/\bMobi|\biPhone\b|\biPod\b|\bWindows Phone\b/.test(ua)) return "Mobile";
+  if (os) return "Desktop";
+  return undefined;
+};
+
+/**
+ * Parse a user-agent string
+ * @param {string} userAgent - Raw user-agent header
+ * @returns {Object} - { browser, os, device } (unknown parts are undefined)
+ */
+const parseUserAgent = (userAgent) => {
+  const ua = typeof userAgent === "string" ? userAgent.slice(0, 512) : "";
+  if (!ua || ua === "Unknown") {
+    return { browser: undefined, os: undefined, device: undefined };
+  }
+
+  const os = matchName(OPERATING_SYSTEMS, ua);
+
+  return {
+    browser: BOT_PATTERN.test(ua) ? undefined : matchName(BROWSERS, ua),
+    os,
+    device: detectDevice(ua, os),
+  };
+};
+
+/**
+ * Build a friendly label such as "Chrome on Android"
+ * @param {Object} deviceInfo - { browser, os, device }
+ * @returns {string} - Label for display
+ */
+const formatDeviceLabel = (deviceInfo = {}) => {
+  const { browser, os, device } = deviceInfo;
+
+  if (browser && os) return `${browser} on ${os}`;
+  if (browser || os) return browser || os;
+  if (device) return device;
+  return "Unknown device";
+};
+
+module.exports = { parseUserAgent, formatDeviceLabel };
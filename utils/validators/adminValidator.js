@@ -0,0 +1,52 @@
+const { body, query } = require("express-validator");
+const validatorResult = require("../../middlwares/validatorMiddlwares");
+const isValidObjectId = require("../validMongodbObjectid");
+
+exports.adminUserIdValidator = [
+  body("id").custom((value, { req }) => {
+    if (!isValidObjectId(req.params.id)) {
+      throw new Error(`Invalid User id format`);
+    }
+    return true;
+  }),
+
+  validatorResult,
+];
+
+exports.adminSessionIdValidator = [
+  body("id").custom((value, { req }) => {
+    if (!isValidObjectId(req.params.id)) {
+      throw new Error(`Invalid User id format`);
+    }
+    return true;
+  }),
+  body("sessionId").custom((value, { req }) => {
+    if (!isValidObjectId(req.params.sessionId)) {
+      throw new Error(`Invalid Session id format`);
+    }
+    return true;
+  }),
+
+  validatorResult,
+];
+
+exports.auditLogValidator = [
+  query("userId")
+    .optional()
+    .custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error(`Invalid User id format`);
+      }
+      return true;
+    }),
+  query("adminId")
+    .optional()
+    .custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error(`Invalid Admin id format`);
+      }
+      return true;
+    }),
+
+  validatorResult,
+];
@@ -1,6 +1,7 @@
 const { body, validationResult } = require("express-validator");
 const User = require("../../model/User");
 const validatorResult = require("../../middlwares/validatorMiddlwares");
+const isValidObjectId = require("../validMongodbObjectid");
 const bcrypt = require("bcrypt");
 const apiError = require("./../apiError");
 
@@ -60,3 +61,148 @@ exports.loginValidator = [
     .withMessage("password is not allowed to be empty"),
   validatorResult,
 ];
+
+exports.verifyEmailValidator = [
+  body("token")
+    .notEmpty()
+    .withMessage("token is not allowed to be empty")
+    .isJWT()
+    .withMessage("token must be a valid verification token"),
+  validatorResult,
+];
+
+exports.forgotPasswordValidator = [
+  body("email")
+    .notEmpty()
+    .withMessage("Email is not allowed to be empty")
+    .isEmail()
+    .withMessage("Email must be a valid email"),
+  validatorResult,
+];
+
+exports.resetPasswordValidator = [
+  // Arrays would pass the checks below element by element
+  body("token")
+    .isString()
+    .withMessage("token must be a valid reset token")
+    .bail()
+    .notEmpty()
+    .withMessage("token is not allowed to be empty")
+    .isHexadecimal()
+    .withMessage("token must be a valid reset token")
+    .isLength({ min: 64, max: 64 })
+    .withMessage("token must be a valid reset token"),
+  body("newPassword")
+    .isString()
+    .withMessage("newPassword must be a string")
+    .bail()
+    .notEmpty()
+    .withMessage("newPassword is not allowed to be empty"),
+  validatorResult,
+];
+
+// Shared rules for the two-factor code fields
+const twoFactorCodeRule = () =>
+  body("code")
+    .optional()
+    .isString()
+    .withMessage("code must be a string")
+    .bail()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("code must be a 6 digit code");
+
+const challengeTokenRule = () =>
+  body("challengeToken")
+    .optional()
+    .isJWT()
+    .withMessage("challengeToken must be a valid challenge token");
+
+exports.twoFactorSetupValidator = [
+  body("challengeToken").custom((value, { req }) => {
+    if (!req.user && !value) {
+      throw new Error("challengeToken is required when not logged in");
+    }
+    return true;
+  }),
+  challengeTokenRule(),
+  validatorResult,
+];
+
+exports.twoFactorConfirmValidator = [
+  body("challengeToken").custom((value, { req }) => {
+    if (!req.user && !value) {
+      throw new Error("challengeToken is required when not logged in");
+    }
+    return true;
+  }),
+  challengeTokenRule(),
+  body("code")
+    .notEmpty()
+    .withMessage("code is not allowed to be empty"),
+  twoFactorCodeRule(),
+  validatorResult,
+];
+
+exports.twoFactorVerifyValidator = [
+  body("challengeToken")
+    .notEmpty()
+    .withMessage("challengeToken is not allowed to be empty"),
+  challengeTokenRule(),
+  body("code").custom((value, { req }) => {
+    if (!value && !req.body.recoveryCode) {
+      throw new Error("Either code or recoveryCode is required");
+    }
+    return true;
+  }),
+  twoFactorCodeRule(),
+  body("recoveryCode")
+    .optional()
+    .isString()
+    .withMessage("recoveryCode must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 10, max: 20 })
+    .withMessage("recoveryCode must be a valid recovery code"),
+  validatorResult,
+];
+
+exports.twoFactorDisableValidator = [
+  body("password")
+    .notEmpty()
+    .withMessage("password is not allowed to be empty"),
+  body("code").custom((value, { req }) => {
+    if (!value && !req.body.recoveryCode) {
+      throw new Error("Either code or recoveryCode is required");
+    }
+    return true;
+  }),
+  twoFactorCodeRule(),
+  body("recoveryCode")
+    .optional()
+    .isString()
+    .withMessage("recoveryCode must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 10, max: 20 })
+    .withMessage("recoveryCode must be a valid recovery code"),
+  validatorResult,
+];
+
+exports.twoFactorCodeValidator = [
+  body("code")
+    .notEmpty()
+    .withMessage("code is not allowed to be empty"),
+  twoFactorCodeRule(),
+  validatorResult,
+];
+
+exports.revokeSessionValidator = [
+  body("id").custom((value, { req }) => {
+    if (!isValidObjectId(req.params.id)) {
+      throw new Error(`Invalid Session id format`);
+    }
+    return true;
+  }),
+  validatorResult,
+];
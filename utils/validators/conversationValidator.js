@@ -0,0 +1,44 @@
+const { body } = require("express-validator");
+const validatorResult = require("../../middlwares/validatorMiddlwares");
+const isValidObjectId = require("../validMongodbObjectid");
+
+// Maximum length of a single message
+const MAX_MESSAGE_LENGTH = 2000;
+
+const messageBodyRule = body("body")
+  .exists({ checkNull: true })
+  .withMessage("body is required")
+  .bail()
+  .isString()
+  .withMessage("body must be a string")
+  .bail()
+  .trim()
+  .isLength({ min: 1, max: MAX_MESSAGE_LENGTH })
+  .withMessage(`body length must be between 1 and ${MAX_MESSAGE_LENGTH} characters long`);
+
+const conversationIdRule = body("id").custom((value, { req }) => {
+  if (!isValidObjectId(req.params.id)) {
+    throw new Error(`Invalid Conversation id format`);
+  }
+  return true;
+});
+
+exports.startConversationValidator = [
+  body("listingId")
+    .exists({ checkNull: true })
+    .withMessage("listingId is required")
+    .bail()
+    .custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error(`Invalid Listing id format`);
+      }
+      return true;
+    }),
+  messageBodyRule,
+
+  validatorResult,
+];
+
+exports.sendMessageValidator = [conversationIdRule, messageBodyRule, validatorResult];
+
+exports.conversationIdValidator = [conversationIdRule, validatorResult];
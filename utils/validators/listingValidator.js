@@ -0,0 +1,235 @@
+const { body, matchedData } = require("express-validator");
+const validatorResult = require("../../middlwares/validatorMiddlwares");
+const isValidObjectId = require("../validMongodbObjectid");
+
+const PROPERTY_TYPES = ["room", "annex", "house", "apartment", "commercial"];
+const FURNISHING_TYPES = ["furnished", "semi-furnished", "unfurnished"];
+
+const SRI_LANKA_DISTRICTS = [
+  "Ampara", "Anuradhapura", "Badulla", "Batticaloa", "Colombo",
+  "Galle", "Gampaha", "Hambantota", "Jaffna", "Kalutara",
+  "Kandy", "Kegalle", "Kilinochchi", "Kurunegala", "Mannar",
+  "Matale", "Matara", "Monaragala", "Mullaitivu", "Nuwara Eliya",
+  "Polonnaruwa", "Puttalam", "Ratnapura", "Trincomalee", "Vavuniya",
+];
+
+// Normalize a Sri Lankan phone number to +94XXXXXXXXX, or return null if invalid
+// Accepts 0771234567, 771234567, 94771234567, 0094771234567 and +94 77 123 4567
+const normalizeSriLankanPhone = (value) => {
+  const compact = String(value).replace(/[\s\-().]/g, "");
+  const match = compact.match(/^(?:\+94|0094|94|0)?([1-9]\d{8})$/);
+  return match ? `+94${match[1]}` : null;
+};
+
+// Find the canonical district name (case-insensitive)
+const findDistrict = (value) =>
+  SRI_LANKA_DISTRICTS.find(
+    (district) => district.toLowerCase() === String(value).trim().toLowerCase()
+  );
+
+// Replace req.body with only the validated owner-editable fields
+// so status, author, likes, numViews, expiresAt, images etc. can never be set by the client
+const keepValidatedFields = (req, res, next) => {
+  req.body = matchedData(req, { locations: ["body"] });
+  next();
+};
+
+// Field rules shared by create and update. `required` decides whether the
+// required fields must be present (create) or are optional (update)
+const listingFieldRules = (required) => {
+  const field = (name) =>
+    required
+      ? body(name).exists({ checkNull: true }).withMessage(`${name} is required`).bail()
+      : body(name).optional();
+  const optional = (name) => body(name).optional({ nullable: true });
+
+  return [
+    field("title")
+      .isString()
+      .withMessage("title must be a string")
+      .bail()
+      .trim()
+      .isLength({ min: 5, max: 120 })
+      .withMessage("title length must be between 5 and 120 characters long"),
+    field("description")
+      .isString()
+      .withMessage("description must be a string")
+      .bail()
+      .trim()
+      .isLength({ min: 20, max: 5000 })
+      .withMessage("description length must be between 20 and 5000 characters long"),
+    field("propertyType")
+      .isIn(PROPERTY_TYPES)
+      .withMessage(`propertyType must be one of: ${PROPERTY_TYPES.join(", ")}`),
+
+    field("location.district")
+      .custom((value) => {
+        if (!findDistrict(value)) {
+          throw new Error("location.district must be a valid Sri Lankan district");
+        }
+        return true;
+      })
+      .customSanitizer((value) => findDistrict(value)),
+    field("location.city")
+      .isString()
+      .withMessage("location.city must be a string")
+      .bail()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("location.city length must be between 2 and 100 characters long"),
+    optional("location.address")
+      .isString()
+      .withMessage("location.address must be a string")
+      .bail()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("location.address length must be less than or equal to 200 characters long"),
+    optional("location.coordinates.lat")
+      .custom((value, { req }) => {
+        if (req.body.location.coordinates.lng === undefined) {
+          throw new Error("location.coordinates requires both lat and lng");
+        }
+        return true;
+      })
+      .bail()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage("location.coordinates.lat must be between -90 and 90")
+      .toFloat(),
+    optional("location.coordinates.lng")
+      .custom((value, { req }) => {
+        if (req.body.location.coordinates.lat === undefined) {
+          throw new Error("location.coordinates requires both lat and lng");
+        }
+        return true;
+      })
+      .bail()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage("location.coordinates.lng must be between -180 and 180")
+      .toFloat(),
+
+    field("rentPerMonth")
+      .isFloat({ min: 1, max: 10000000 })
+      .withMessage("rentPerMonth must be a number between 1 and 10,000,000")
+      .toFloat(),
+    field("deposit")
+      .isFloat({ min: 0, max: 100000000 })
+      .withMessage("deposit must be a number between 0 and 100,000,000")
+      .toFloat(),
+    field("bedrooms")
+      .isInt({ min: 0, max: 20 })
+      .withMessage("bedrooms must be a whole number between 0 and 20")
+      .toInt(),
+    field("bathrooms")
+      .isInt({ min: 0, max: 20 })
+      .withMessage("bathrooms must be a whole number between 0 and 20")
+      .toInt(),
+    optional("size")
+      .isFloat({ min: 1, max: 100000 })
+      .withMessage("size must be a number between 1 and 100,000")
+      .toFloat(),
+    optional("furnishing")
+      .isIn(FURNISHING_TYPES)
+      .withMessage(`furnishing must be one of: ${FURNISHING_TYPES.join(", ")}`),
+
+    optional("amenities")
+      .isArray({ max: 30 })
+      .withMessage("amenities must be an array of at most 30 items"),
+    body("amenities.*")
+      .isString()
+      .withMessage("each amenity must be a string")
+      .bail()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("each amenity length must be between 1 and 50 characters long"),
+
+    field("contactPhone")
+      .custom((value) => {
+        if (!normalizeSriLankanPhone(value)) {
+          throw new Error("contactPhone must be a valid Sri Lankan phone number");
+        }
+        return true;
+      })
+      .customSanitizer((value) => normalizeSriLankanPhone(value)),
+    optional("contactPhoneSecondary")
+      .custom((value) => {
+        if (!normalizeSriLankanPhone(value)) {
+          throw new Error("contactPhoneSecondary must be a valid Sri Lankan phone number");
+        }
+        return true;
+      })
+      .customSanitizer((value) => normalizeSriLankanPhone(value)),
+    optional("hideContactPhone")
+      .isBoolean()
+      .withMessage("hideContactPhone must be a boolean")
+      .toBoolean(),
+
+    optional("availableFrom")
+      .isISO8601()
+      .withMessage("availableFrom must be a valid date")
+      .toDate(),
+    optional("listingDuration")
+      .isInt({ min: 1, max: 12 })
+      .withMessage("listingDuration must be a whole number between 1 and 12 months")
+      .toInt(),
+  ];
+};
+
+exports.createListingValidator = [
+  ...listingFieldRules(true),
+
+  validatorResult,
+  keepValidatedFields,
+];
+
+exports.updateListingValidator = [
+  body("id").custom((value, { req }) => {
+    if (!isValidObjectId(req.params.id)) {
+      throw new Error(`Invalid Listing id format`);
+    }
+    return true;
+  }),
+
+  ...listingFieldRules(false),
+
+  validatorResult,
+  keepValidatedFields,
+];
+
+exports.favoriteValidator = [
+  body("id").custom((value, { req }) => {
+    if (!isValidObjectId(req.params.id)) {
+      throw new Error(`Invalid Listing id format`);
+    }
+    return true;
+  }),
+
+  // null or an empty string removes the collection / note. null is turned into ""
+  // first: optional({ nullable: true }) would leave it out of matchedData
+  body(["collectionName", "note"]).customSanitizer((value) => (value === null ? "" : value)),
+  body("collectionName")
+    .optional()
+    .isString()
+    .withMessage("collectionName must be a string")
+    .bail()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("collectionName length must be less than or equal to 50 characters long"),
+  body("note")
+    .optional()
+    .isString()
+    .withMessage("note must be a string")
+    .bail()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("note length must be less than or equal to 500 characters long"),
+
+  validatorResult,
+  keepValidatedFields,
+];
+
+exports.PROPERTY_TYPES = PROPERTY_TYPES;
+exports.FURNISHING_TYPES = FURNISHING_TYPES;
+exports.SRI_LANKA_DISTRICTS = SRI_LANKA_DISTRICTS;
+exports.normalizeSriLankanPhone = normalizeSriLankanPhone;
+exports.findDistrict = findDistrict;
+exports.keepValidatedFields = keepValidatedFields;
@@ -0,0 +1,49 @@
+const { body } = require("express-validator");
+const validatorResult = require("../../middlwares/validatorMiddlwares");
+const isValidObjectId = require("../validMongodbObjectid");
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+} = require("../notifications");
+
+exports.notificationIdValidator = [
+  body("id").custom((value, { req }) => {
+    if (!isValidObjectId(req.params.id)) {
+      throw new Error(`Invalid Notification id format`);
+    }
+    return true;
+  }),
+
+  validatorResult,
+];
+
+exports.updateNotificationPreferencesValidator = [
+  body("preferences")
+    .exists({ checkNull: true })
+    .withMessage("preferences is required")
+    .bail()
+    .isObject()
+    .withMessage("preferences must be an object")
+    .bail()
+    .custom((preferences) => {
+      Object.entries(preferences).forEach(([type, channels]) => {
+        if (!NOTIFICATION_TYPES.includes(type)) {
+          throw new Error(`Unknown notification type ${type}. Allowed: ${NOTIFICATION_TYPES.join(", ")}`);
+        }
+        if (!channels || typeof channels !== "object" || Array.isArray(channels)) {
+          throw new Error(`preferences.${type} must be an object`);
+        }
+        Object.entries(channels).forEach(([channel, enabled]) => {
+          if (!NOTIFICATION_CHANNELS.includes(channel)) {
+            throw new Error(`Unknown channel ${channel}. Allowed: ${NOTIFICATION_CHANNELS.join(", ")}`);
+          }
+          if (typeof enabled !== "boolean") {
+            throw new Error(`preferences.${type}.${channel} must be a boolean`);
+          }
+        });
+      });
+      return true;
+    }),
+
+  validatorResult,
+];
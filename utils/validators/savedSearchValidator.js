@@ -0,0 +1,106 @@
+const { body } = require("express-validator");
+const validatorResult = require("../../middlwares/validatorMiddlwares");
+const isValidObjectId = require("../validMongodbObjectid");
+const {
+  PROPERTY_TYPES,
+  FURNISHING_TYPES,
+  findDistrict,
+  keepValidatedFields,
+} = require("./listingValidator");
+
+// Field rules shared by create and update
+const savedSearchFieldRules = (required) => {
+  const optional = (name) => body(name).optional({ nullable: true });
+
+  return [
+    (required
+      ? body("name").exists({ checkNull: true }).withMessage("name is required").bail()
+      : body("name").optional())
+      .isString()
+      .withMessage("name must be a string")
+      .bail()
+      .trim()
+      .isLength({ min: 1, max: 80 })
+      .withMessage("name length must be between 1 and 80 characters long"),
+
+    optional("filters")
+      .isObject()
+      .withMessage("filters must be an object"),
+    optional("filters.propertyType")
+      .isIn(PROPERTY_TYPES)
+      .withMessage(`filters.propertyType must be one of: ${PROPERTY_TYPES.join(", ")}`),
+    optional("filters.district")
+      .custom((value) => {
+        if (!findDistrict(value)) {
+          throw new Error("filters.district must be a valid Sri Lankan district");
+        }
+        return true;
+      })
+      .customSanitizer((value) => findDistrict(value)),
+    optional("filters.city")
+      .isString()
+      .withMessage("filters.city must be a string")
+      .bail()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("filters.city length must be between 2 and 100 characters long")
+      // Stored as a plain substring, never as a regex
+      .customSanitizer((value) => value.replace(/[.*+?^${}()|[\]\\]/g, "")),
+    optional("filters.minPrice")
+      .isFloat({ min: 0, max: 10000000 })
+      .withMessage("filters.minPrice must be a number between 0 and 10,000,000")
+      .toFloat(),
+    optional("filters.maxPrice")
+      .isFloat({ min: 1, max: 10000000 })
+      .withMessage("filters.maxPrice must be a number between 1 and 10,000,000")
+      .bail()
+      .custom((value, { req }) => {
+        const minPrice = req.body.filters.minPrice;
+        if (minPrice !== undefined && minPrice !== null && Number(minPrice) > Number(value)) {
+          throw new Error("filters.maxPrice must be greater than or equal to filters.minPrice");
+        }
+        return true;
+      })
+      .toFloat(),
+    optional("filters.bedrooms")
+      .isInt({ min: 0, max: 20 })
+      .withMessage("filters.bedrooms must be a whole number between 0 and 20")
+      .toInt(),
+    optional("filters.bathrooms")
+      .isInt({ min: 0, max: 20 })
+      .withMessage("filters.bathrooms must be a whole number between 0 and 20")
+      .toInt(),
+    optional("filters.furnishing")
+      .isIn(FURNISHING_TYPES)
+      .withMessage(`filters.furnishing must be one of: ${FURNISHING_TYPES.join(", ")}`),
+
+    optional("alertsEnabled")
+      .isBoolean()
+      .withMessage("alertsEnabled must be a boolean")
+      .toBoolean(),
+  ];
+};
+
+const savedSearchIdRule = body("id").custom((value, { req }) => {
+  if (!isValidObjectId(req.params.id)) {
+    throw new Error(`Invalid Saved Search id format`);
+  }
+  return true;
+});
+
+exports.createSavedSearchValidator = [
+  ...savedSearchFieldRules(true),
+
+  validatorResult,
+  keepValidatedFields,
+];
+
+exports.updateSavedSearchValidator = [
+  savedSearchIdRule,
+  ...savedSearchFieldRules(false),
+
+  validatorResult,
+  keepValidatedFields,
+];
+
+exports.savedSearchIdValidator = [savedSearchIdRule, validatorResult];
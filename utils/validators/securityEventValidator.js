@@ -0,0 +1,40 @@
+const { query } = require("express-validator");
+const validatorResult = require("../../middlwares/validatorMiddlwares");
+const isValidObjectId = require("../validMongodbObjectid");
+const SecurityEvent = require("../../model/SecurityEvent");
+
+const SECURITY_EVENT_TYPES = SecurityEvent.schema.path("type").enumValues;
+
+// Filters shared by the user and admin views
+const eventFilterRules = [
+  query("type")
+    .optional()
+    .custom((value) => {
+      const unknown = String(value)
+        .split(",")
+        .filter((type) => !SECURITY_EVENT_TYPES.includes(type));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown security event type ${unknown.join(", ")}. Allowed: ${SECURITY_EVENT_TYPES.join(", ")}`);
+      }
+      return true;
+    }),
+  query("from").optional().isISO8601().withMessage("from must be a valid date"),
+  query("to").optional().isISO8601().withMessage("to must be a valid date"),
+];
+
+exports.securityEventsValidator = [...eventFilterRules, validatorResult];
+
+exports.adminSecurityEventsValidator = [
+  ...eventFilterRules,
+  query("userId")
+    .optional()
+    .custom((value) => {
+      if (!isValidObjectId(value)) {
+        throw new Error(`Invalid User id format`);
+      }
+      return true;
+    }),
+  query("ipAddress").optional().isIP().withMessage("ipAddress must be a valid IP address"),
+
+  validatorResult,
+];